@@ -22,9 +22,11 @@ program
   .command('build')
   .description('Build the static site')
   .option('-d, --dir <directory>', 'Project directory', '.')
+  .option('--future', 'Include posts with a future publish date')
+  .option('--drafts', 'Render drafts (marked as DRAFT, kept out of RSS and sitemap)')
   .action((options) => {
     const projectDir = path.resolve(process.cwd(), options.dir);
-    build(projectDir);
+    build(projectDir, { future: options.future, drafts: options.drafts });
   });
 
 program
@@ -32,10 +34,12 @@ program
   .description('Start development server with hot reload')
   .option('-d, --dir <directory>', 'Project directory', '.')
   .option('-p, --port <port>', 'Server port', '3000')
+  .option('--future', 'Include posts with a future publish date')
+  .option('--drafts', 'Preview drafts (marked as DRAFT, kept out of RSS and sitemap)')
   .action((options) => {
     const projectDir = path.resolve(process.cwd(), options.dir);
     const port = parseInt(options.port, 10);
-    dev(projectDir, port);
+    dev(projectDir, port, { future: options.future, drafts: options.drafts });
   });
 
 program.parse();
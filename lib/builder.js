@@ -1,47 +1,61 @@
 const fs = require('fs');
 const path = require('path');
 const matter = require('gray-matter');
-const { marked } = require('marked');
-const hljs = require('highlight.js');
-const { glob } = require('glob');
+const { glob, globSync } = require('glob');
 
 const {
   calculateReadingTime,
   generateTOC,
   addHeadingIds,
+  isListablePost,
   findRelatedPosts,
+  getSeriesParts,
   generateRSS,
+  generateAtom,
+  generateJsonFeed,
+  toFeedHtml,
   generateSitemap,
+  getAlternates,
+  generateRedirectPage,
+  generateRedirectsFile,
+  generateNginxRedirectMap,
   formatDate,
+  LocalizedDate,
   slugify,
+  getTermUrl,
+  getPostAuthors,
+  getSeriesUrl,
+  escapeHtml,
   ensureDir,
   copyDir,
+  isInsideDir,
+  removeFile,
   cleanDir,
   paginate,
   loadBuildCache,
   saveBuildCache,
   needsRebuild,
-  getFileHash
+  getPostStatus,
+  getFileHash,
+  getContentHash
 } = require('./utils.js');
 
 const { processImages, convertImagesToWebp } = require('./images.js');
+const { generateSearchIndex } = require('./search.js');
+const { createMarkdown } = require('./markdown.js');
+const { loadShortcodes, renderShortcodes } = require('./shortcodes.js');
+const { renderTemplate, getTemplateDependencies } = require('./template.js');
+const { WorkerPool, getWorkerCount } = require('./pool.js');
+const { version } = require('../package.json');
 
-// Configure marked with syntax highlighting
-marked.use({
-  gfm: true,
-  breaks: true
-});
-
-// Custom renderer for code blocks with highlighting
-const renderer = new marked.Renderer();
-renderer.code = function(code, language) {
-  const validLang = language && hljs.getLanguage(language);
-  const highlighted = validLang 
-    ? hljs.highlight(code, { language }).value 
-    : hljs.highlightAuto(code).value;
-  return `<pre><code class="hljs ${language || ''}">${highlighted}</code></pre>`;
+/**
+ * Site feed formats and the files they are written to
+ */
+const feedFormats = {
+  rss: { file: 'rss.xml', type: 'application/rss+xml', name: 'RSS', generate: generateRSS },
+  atom: { file: 'atom.xml', type: 'application/atom+xml', name: 'Atom', generate: generateAtom },
+  json: { file: 'feed.json', type: 'application/feed+json', name: 'JSON Feed', generate: generateJsonFeed }
 };
-marked.use({ renderer });
 
 /**
  * Load site configuration
@@ -54,23 +68,45 @@ function loadConfig(projectDir) {
     siteUrl: 'http://localhost:3000',
     author: 'Anonymous',
     postsPerPage: 10,
-    language: 'vi'
+    language: 'vi',
+    postNavigation: 'all',
+    permalink: '/:path.html',
+    examplesDir: 'examples',
+    search: true,
+    taxonomies: {}
   };
 
+  let config = defaultConfig;
   if (fs.existsSync(configPath)) {
     try {
       const userConfig = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
-      return { ...defaultConfig, ...userConfig };
+      config = { ...defaultConfig, ...userConfig };
     } catch (e) {
       console.warn('Warning: Invalid config.json, using defaults');
     }
   }
 
-  return defaultConfig;
+  return { ...config, authors: loadAuthors(projectDir) };
+}
+
+/**
+ * Load author profiles from data/authors.json, keyed by author id
+ */
+function loadAuthors(projectDir) {
+  const authorsPath = path.join(projectDir, 'data', 'authors.json');
+  if (!fs.existsSync(authorsPath)) return {};
+
+  try {
+    return JSON.parse(fs.readFileSync(authorsPath, 'utf-8'));
+  } catch (e) {
+    console.warn('Warning: Invalid data/authors.json, ignoring author profiles');
+    return {};
+  }
 }
 
 /**
- * Load all templates
+ * Load all templates.
+ * Partials and layouts are keyed by folder, e.g. "partials/header", "layouts/base".
  */
 function loadTemplates(projectDir) {
   const templatesDir = path.join(projectDir, 'templates');
@@ -87,15 +123,31 @@ function loadTemplates(projectDir) {
     templates[name] = fs.readFileSync(path.join(templatesDir, file), 'utf-8');
   }
 
+  for (const dir of ['partials', 'layouts']) {
+    const dirPath = path.join(templatesDir, dir);
+    if (!fs.existsSync(dirPath)) continue;
+
+    for (const file of globSync('**/*.html', { cwd: dirPath })) {
+      const name = `${dir}/${file.replace(/\.html$/, '').replace(/\\/g, '/')}`;
+      templates[name] = fs.readFileSync(path.join(dirPath, file), 'utf-8');
+    }
+  }
+
   return templates;
 }
 
 /**
- * Parse a markdown file
+ * Parse a markdown file.
+ * `shortcodes` are the shortcode templates, loaded once per build;
+ * code blocks include files from `examplesDir`.
  */
-function parseMarkdownFile(filePath, projectDir) {
+function parseMarkdownFile(filePath, projectDir, shortcodes = loadShortcodes(projectDir), examplesDir = path.join(projectDir, 'examples')) {
   const content = fs.readFileSync(filePath, 'utf-8');
-  const { data: frontmatter, content: markdown } = matter(content);
+  const { data, content: markdown } = matter(content);
+
+  // Plain JSON frontmatter (YAML dates become ISO strings), so a parsed post
+  // is the same whether fresh or loaded from the build cache
+  const frontmatter = JSON.parse(JSON.stringify(data));
   
   const relativePath = path.relative(path.join(projectDir, 'pages'), filePath);
   const slug = relativePath.replace(/\.md$/, '').replace(/\\/g, '/');
@@ -106,11 +158,27 @@ function parseMarkdownFile(filePath, projectDir) {
     tags = tags.split(',').map(t => t.trim());
   }
 
+  // Posts without a date fall back to publishDate, then the file's modification time
+  const date = frontmatter.date || frontmatter.publishDate || fs.statSync(filePath).mtime.toISOString();
+
   // Calculate reading time
   const readingTime = calculateReadingTime(markdown);
 
-  // Convert markdown to HTML
-  let html = marked(markdown);
+  // Convert markdown to HTML, expanding shortcodes. Errors point at the
+  // line in the file, after the frontmatter.
+  const file = path.relative(projectDir, filePath);
+  const markdownRenderer = createMarkdown({ examplesDir, file });
+  // Shortcode content is rendered first, and can refer to footnotes defined anywhere
+  markdownRenderer.collectFootnotes(markdown);
+  const rendered = renderShortcodes(markdown, {
+    shortcodes,
+    render: markdownRenderer.render,
+    renderInline: markdownRenderer.renderInline,
+    file,
+    line: content.endsWith(markdown) ? content.slice(0, content.length - markdown.length).split('\n').length : 1,
+    page: frontmatter
+  });
+  let html = rendered.html + markdownRenderer.renderFootnotes();
   
   // Add IDs to headings
   html = addHeadingIds(html);
@@ -118,35 +186,204 @@ function parseMarkdownFile(filePath, projectDir) {
   // Generate TOC
   const toc = generateTOC(html);
 
+  // What the HTML was built from besides the markdown, with content hashes
+  const dependencies = {};
+  rendered.used.forEach(name => {
+    dependencies[`shortcode:${name}`] = getContentHash(shortcodes[name]);
+  });
+  markdownRenderer.includedFiles().forEach(includedPath => {
+    const key = path.relative(projectDir, includedPath).replace(/\\/g, '/');
+    dependencies[`file:${key}`] = getFileHash(includedPath);
+  });
+  // Included files are looked up in the examples directory, so pages
+  // including any are parsed again when it changes
+  if (markdownRenderer.includedFiles().length > 0) {
+    dependencies.examplesDir = path.relative(projectDir, examplesDir).replace(/\\/g, '/');
+  }
+
   return {
     slug,
+    url: `/${slug}.html`,
     filePath,
+    // Set per language by localizePost() on multilingual sites
+    lang: '',
+    translationKey: slug,
+    translations: [],
     title: frontmatter.title || 'Untitled',
-    date: frontmatter.date || new Date().toISOString(),
+    date,
+    publishDate: frontmatter.publishDate || date,
+    expiryDate: frontmatter.expiryDate || '',
     description: frontmatter.description || '',
     tags,
     template: frontmatter.template || 'post',
     draft: frontmatter.draft || false,
     image: frontmatter.image || '',
+    series: frontmatter.series ? String(frontmatter.series) : '',
+    seriesOrder: frontmatter.seriesOrder != null ? Number(frontmatter.seriesOrder) : null,
     readingTime,
     toc,
+    // Pages with math include the KaTeX stylesheet
+    math: markdownRenderer.usesMath(),
     content: html,
     raw: markdown,
-    frontmatter
+    frontmatter,
+    dependencies
   };
 }
 
 /**
- * Escape HTML special characters
+ * Get the languages of a multilingual site, from config.languages
+ * ({ "vi": { "name", "locale", ...config overrides }, "en": {...} }).
+ * The default language (config.defaultLanguage, else the first one) is
+ * served from the site root, the others from /<code>/.
+ * Empty for single-language sites.
+ */
+function getLanguages(config) {
+  const codes = Object.keys(config.languages || {});
+  const defaultCode = codes.includes(config.defaultLanguage) ? config.defaultLanguage : codes[0];
+
+  return codes.map(code => {
+    const { name, locale, ...overrides } = config.languages[code] || {};
+    return {
+      code,
+      name: name || code,
+      locale: locale || code,
+      prefix: code === defaultCode ? '' : `/${code}`,
+      isDefault: code === defaultCode,
+      overrides
+    };
+  });
+}
+
+/**
+ * Get the config each language is built with: the site config with the
+ * language's own settings (title, description, ...) merged over it.
+ * `langPrefix` is the URL prefix of the language's outputs.
  */
-function escapeHtml(str) {
-  if (!str) return '';
-  return str
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;')
-    .replace(/'/g, '&#039;');
+function getLanguageConfigs(config) {
+  const languages = getLanguages(config);
+  if (languages.length === 0) {
+    return [{ ...config, lang: '', langPrefix: '' }];
+  }
+
+  return languages.map(language => ({
+    ...config,
+    ...language.overrides,
+    language: language.locale,
+    lang: language.code,
+    langPrefix: language.prefix
+  }));
+}
+
+/**
+ * Set the language of a post and its translation key (its path without
+ * the language): frontmatter `lang`, else a pages/<lang>/ folder or a
+ * post.<lang>.md suffix, else the default language. Posts in other
+ * languages than the default get the language's URL prefix.
+ */
+function localizePost(post, languages) {
+  if (languages.length === 0) return post;
+
+  const codes = languages.map(language => language.code);
+  let key = post.slug;
+  let code = codes.includes(post.frontmatter.lang) ? post.frontmatter.lang : null;
+
+  const [folder, ...rest] = key.split('/');
+  if (rest.length > 0 && codes.includes(folder)) {
+    code = code || folder;
+    key = rest.join('/');
+  }
+
+  const suffix = key.match(/\.([^./]+)$/);
+  if (suffix && codes.includes(suffix[1])) {
+    code = code || suffix[1];
+    key = key.slice(0, -suffix[0].length);
+  }
+
+  const language = languages.find(l => l.code === code) || languages.find(l => l.isDefault);
+  const slug = language.prefix ? `${language.code}/${key}` : key;
+
+  return { ...post, slug, url: `/${slug}.html`, lang: language.code, translationKey: key };
+}
+
+/**
+ * Set the URL of a post from its permalink pattern (frontmatter `permalink`,
+ * else config.permalink). Placeholders: `:path` (path under pages/ without
+ * the language), `:slug` (file name, or the `slug` frontmatter), `:section`,
+ * `:year`, `:month` and `:day`. A pattern ending in "/" gives a pretty URL,
+ * written to <url>/index.html. Index pages keep their /<path>/index.html URL,
+ * and pages without a date use `:path` instead of a dated config pattern.
+ * ".." segments (e.g. from a `slug`) are resolved within the site root.
+ */
+function setPermalink(post, config) {
+  const key = post.translationKey;
+  let pattern = post.frontmatter.permalink || config.permalink;
+  if (!pattern || key === 'index' || key.endsWith('/index')) return post;
+
+  // Pages without a date (about, ...) would get it from the file's
+  // modification time, so they keep their path instead
+  const dated = post.frontmatter.date || post.frontmatter.publishDate;
+  if (!post.frontmatter.permalink && !dated && /:(year|month|day)\b/.test(pattern)) {
+    pattern = pattern.endsWith('/') ? '/:path/' : '/:path.html';
+  }
+
+  const folder = key.includes('/') ? key.slice(0, key.lastIndexOf('/') + 1) : '';
+  const slug = post.frontmatter.slug ? String(post.frontmatter.slug) : key.slice(folder.length);
+  const date = new Date(post.date);
+  const values = {
+    path: folder + slug,
+    slug,
+    section: getSection(post),
+    year: String(date.getFullYear()),
+    month: String(date.getMonth() + 1).padStart(2, '0'),
+    day: String(date.getDate()).padStart(2, '0')
+  };
+
+  let url = path.posix.normalize(`/${pattern}`
+    .replace(/:(path|slug|section|year|month|day)\b/g, (match, name) => values[name]));
+  if (!url.endsWith('/') && !url.endsWith('.html')) url += '.html';
+
+  const language = getLanguages(config).find(l => l.code === post.lang);
+  return { ...post, url: `${language ? language.prefix : ''}${url}` };
+}
+
+/**
+ * Get the output file of a page URL ("/a/b.html" -> "a/b.html", "/a/" -> "a/index.html")
+ */
+function getOutputFile(url) {
+  return url.endsWith('/') ? `${url}index.html` : url;
+}
+
+/**
+ * Link posts sharing a translation key: each gets `translations`
+ * ([{ lang, hreflang, name, title, url, filePath, isDefault }], in
+ * config.languages order), empty for posts without translations
+ */
+function addTranslations(posts, languages) {
+  if (languages.length === 0) return posts;
+
+  const groups = new Map();
+  posts.forEach(post => {
+    if (!groups.has(post.translationKey)) groups.set(post.translationKey, []);
+    groups.get(post.translationKey).push(post);
+  });
+
+  return posts.map(post => {
+    const group = groups.get(post.translationKey);
+    const translations = group.length < 2 ? [] : languages.flatMap(language => {
+      const translation = group.find(p => p.lang === language.code);
+      return translation ? [{
+        lang: language.code,
+        hreflang: language.locale,
+        name: language.name,
+        title: translation.title,
+        url: translation.url,
+        filePath: translation.filePath,
+        isDefault: language.isDefault
+      }] : [];
+    });
+    return { ...post, translations };
+  });
 }
 
 /**
@@ -155,13 +392,26 @@ function escapeHtml(str) {
 function generateMetaTags(post, config) {
   const title = escapeHtml(post.title);
   const description = escapeHtml(post.description);
-  const { image, slug } = post;
-  const pageUrl = `${config.siteUrl}/${slug}.html`;
+  const { image } = post;
+  const pageUrl = `${config.siteUrl}${post.url}`;
   const imageUrl = image ? `${config.siteUrl}/${image}` : '';
+  const authors = getPostAuthors(post, config);
+
+  // Structured data; "<" is escaped so the JSON cannot close the script tag
+  const jsonLd = {
+    '@context': 'https://schema.org',
+    '@type': 'BlogPosting',
+    headline: post.title,
+    description: post.description,
+    datePublished: post.date,
+    url: pageUrl,
+    author: authors.map(author => ({ '@type': 'Person', name: author.name, url: `${config.siteUrl}${author.url}` }))
+  };
+  if (imageUrl) jsonLd.image = imageUrl;
 
   return `
     <meta name="description" content="${description}">
-    <meta name="author" content="${escapeHtml(config.author)}">
+    <meta name="author" content="${escapeHtml(authors.map(a => a.name).join(', '))}">
     
     <!-- Open Graph -->
     <meta property="og:title" content="${title}">
@@ -169,12 +419,16 @@ function generateMetaTags(post, config) {
     <meta property="og:type" content="article">
     <meta property="og:url" content="${pageUrl}">
     ${imageUrl ? `<meta property="og:image" content="${imageUrl}">` : ''}
+    ${authors.map(a => `<meta property="article:author" content="${config.siteUrl}${a.url}">`).join('\n    ')}
+    ${getAlternates(post).map(a => `<link rel="alternate" hreflang="${a.hreflang}" href="${config.siteUrl}${a.url}">`).join('\n    ')}
     
     <!-- Twitter Card -->
     <meta name="twitter:card" content="summary_large_image">
     <meta name="twitter:title" content="${title}">
     <meta name="twitter:description" content="${description}">
     ${imageUrl ? `<meta name="twitter:image" content="${imageUrl}">` : ''}
+
+    <script type="application/ld+json">${JSON.stringify(jsonLd).replace(/</g, '\\u003c')}</script>
   `;
 }
 
@@ -185,6 +439,22 @@ function getProgressBarCode() {
   return `<style>.reading-progress{position:fixed;top:0;left:0;width:0;height:4px;background:linear-gradient(90deg,#667eea 0%,#764ba2 100%);z-index:9999;transition:width .1s ease-out}</style><div class="reading-progress" id="reading-progress"></div><script>!function(){var e=document.getElementById("reading-progress");function t(){var t=window.scrollY,n=document.documentElement.scrollHeight-window.innerHeight;e.style.width=(n>0?t/n*100:0)+"%"}window.addEventListener("scroll",t),window.addEventListener("resize",t),t()}();</script>`;
 }
 
+/**
+ * Generate draft banner HTML/CSS (minified)
+ */
+function getDraftBannerCode() {
+  return `<style>.draft-banner{position:relative;z-index:9998;background:#f59e0b;color:#111827;text-align:center;font-weight:700;letter-spacing:.1em;padding:.5rem 1rem}</style><div class="draft-banner" role="note">DRAFT · not published</div>`;
+}
+
+/**
+ * Mark a draft preview page: visible banner and noindex meta tag
+ */
+function markAsDraft(html) {
+  return html
+    .replace('</head>', '<meta name="robots" content="noindex">\n</head>')
+    .replace(/<body[^>]*>/i, match => match + getDraftBannerCode());
+}
+
 /**
  * Generate related posts HTML
  */
@@ -193,19 +463,323 @@ function generateRelatedPostsHtml(relatedPosts) {
 
   let html = '<section class="related-posts"><h3>Related Posts</h3><ul>';
   relatedPosts.forEach(post => {
-    html += `<li><a href="/${post.slug}.html">${escapeHtml(post.title)}</a></li>`;
+    html += `<li><a href="${post.url}">${escapeHtml(post.title)}</a></li>`;
   });
   html += '</ul></section>';
   return html;
 }
 
 /**
- * Generate posts list HTML with lazy load support
+ * Get posts shown in lists, newest first.
+ * `posts` is already filtered to what this build publishes.
+ */
+function getListedPosts(posts, config) {
+  // Dates are parsed once, not in every comparison
+  const times = new Map(posts.map(p => [p, new Date(p.date).getTime()]));
+  return posts
+    .filter(p => isListablePost(p, config))
+    .sort((a, b) => times.get(b) - times.get(a));
+}
+
+/**
+ * Get what every page of a site shares, computed once per build rather than
+ * once per page: the listed posts with each one's position (for lists and
+ * previous/next links) and the site data
+ */
+function getSiteIndex(posts, config) {
+  const listedPosts = getListedPosts(posts, config);
+  return {
+    listedPosts,
+    positions: new Map(listedPosts.map((post, i) => [post.filePath, i])),
+    siteData: getSiteData(posts, config)
+  };
+}
+
+/**
+ * Get the taxonomies of the site: `tags` plus those declared in
+ * config.taxonomies (`"tags": false` turns tags off).
+ * Each has a URL `path`, a term page `template`, a term `label`
+ * ("Tag: javascript") and an index page `title`.
+ * Paths of a language other than the default start with its code ("en/tags").
+ */
+function getTaxonomies(config) {
+  const declared = { tags: { label: 'Tag' }, ...config.taxonomies };
+  const langPath = config.langPrefix ? `${config.lang}/` : '';
+
+  return Object.entries(declared)
+    .filter(([, options]) => options !== false)
+    .map(([name, value]) => {
+      const options = { ...value };
+      const title = options.title || name.charAt(0).toUpperCase() + name.slice(1);
+      const basePath = langPath + (options.path || name);
+      return {
+        name,
+        path: basePath,
+        template: options.template || 'tag',
+        label: options.label || title,
+        title,
+        url: `/${basePath}/index.html`
+      };
+    });
+}
+
+/**
+ * Get the terms of a post in a taxonomy, read from the frontmatter key
+ * named after it ("a, b" strings are split like tags)
+ */
+function getPostTerms(post, taxonomy) {
+  if (taxonomy.name === 'tags') return post.tags;
+
+  let terms = post.frontmatter[taxonomy.name];
+  if (terms == null || terms === '') return [];
+  if (typeof terms === 'string') {
+    terms = terms.split(',').map(t => t.trim());
+  }
+  return [].concat(terms).map(String).filter(Boolean);
+}
+
+/**
+ * Get term data for templates ({ name, slug, url })
+ */
+function toTermData(term, taxonomy) {
+  return { name: term, slug: slugify(term), url: getTermUrl(term, taxonomy.path) };
+}
+
+/**
+ * Group posts by their terms in a taxonomy
  */
-function generatePostsListHtml(posts, config) {
-  const sortedPosts = posts
-    .filter(p => !p.draft && p.slug !== 'index' && p.slug !== 'about' && !p.slug.startsWith('tags/'))
-    .sort((a, b) => new Date(b.date) - new Date(a.date));
+function groupPostsByTerm(posts, taxonomy) {
+  const termPosts = {};
+  posts.forEach(post => {
+    getPostTerms(post, taxonomy).forEach(term => {
+      if (!termPosts[term]) termPosts[term] = [];
+      termPosts[term].push(post);
+    });
+  });
+  return termPosts;
+}
+
+/**
+ * Get all terms of a taxonomy with post counts, most used first
+ */
+function getTermCounts(posts, taxonomy) {
+  return Object.entries(groupPostsByTerm(posts, taxonomy))
+    .sort((a, b) => b[1].length - a[1].length)
+    .map(([term, termPosts]) => ({ ...toTermData(term, taxonomy), count: termPosts.length }));
+}
+
+/**
+ * Get the terms of a post in every taxonomy, keyed by taxonomy name
+ */
+function getPostTermData(post, taxonomies) {
+  const terms = {};
+  taxonomies.forEach(taxonomy => {
+    terms[taxonomy.name] = getPostTerms(post, taxonomy).map(term => toTermData(term, taxonomy));
+  });
+  return terms;
+}
+
+/**
+ * Get the section of a post: its first folder under pages/, not counting
+ * a language folder ('' at the top level)
+ */
+function getSection(post) {
+  const index = post.translationKey.indexOf('/');
+  return index === -1 ? '' : post.translationKey.slice(0, index);
+}
+
+/**
+ * Get the posts published just before and after a post, in date order.
+ * config.postNavigation limits neighbours to posts sharing the first tag
+ * ('tag') or the same pages/ folder ('section'); default 'all'.
+ */
+function getAdjacentPosts(post, siteIndex, config) {
+  const scope = config.postNavigation || 'all';
+  const { listedPosts, positions } = siteIndex;
+  const index = positions.get(post.filePath);
+  if (index === undefined) {
+    return { prev: null, next: null };
+  }
+
+  let inScope = () => true;
+  if (scope === 'tag') {
+    const [tag] = post.tags;
+    inScope = p => Boolean(tag) && p.tags.includes(tag);
+  } else if (scope === 'section') {
+    const section = getSection(post);
+    inScope = p => getSection(p) === section;
+  }
+
+  // Listed posts are newest first: the nearest one in scope on each side
+  const findNearest = step => {
+    for (let i = index + step; i >= 0 && i < listedPosts.length; i += step) {
+      if (inScope(listedPosts[i])) return listedPosts[i];
+    }
+    return null;
+  };
+  return { prev: findNearest(1), next: findNearest(-1) };
+}
+
+/**
+ * Get the template data of a neighbouring post link
+ */
+function toNavData(post) {
+  return post ? { title: post.title, url: post.url, date: post.date, description: post.description } : null;
+}
+
+/**
+ * Group listed posts by month, newest first:
+ * [{ year, month, label, url, count, posts }]
+ */
+function getArchiveMonths(posts, config) {
+  const months = [];
+  const prefix = config.langPrefix || '';
+
+  // Listed posts are newest first, so each month's posts are consecutive
+  getListedPosts(posts, config).forEach(post => {
+    const date = new Date(post.date);
+    if (isNaN(date)) return;
+
+    const year = String(date.getFullYear());
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    let group = months[months.length - 1];
+
+    if (!group || group.year !== year || group.month !== month) {
+      group = {
+        year,
+        month,
+        label: formatDate(post.date, config.language, { year: 'numeric', month: 'long' }),
+        url: `${prefix}/${year}/${month}/`,
+        count: 0,
+        posts: []
+      };
+      months.push(group);
+    }
+
+    group.count++;
+    group.posts.push(post);
+  });
+
+  return months;
+}
+
+/**
+ * Generate archive summary HTML (month + post count)
+ */
+function generateArchiveListHtml(archiveMonths) {
+  if (archiveMonths.length === 0) return '';
+
+  let html = '<ul class="archive-list">';
+  archiveMonths.forEach(month => {
+    html += `<li><a href="${month.url}">${escapeHtml(month.label)}</a> <span class="archive-count">(${month.count})</span></li>`;
+  });
+  html += '</ul>';
+  return html;
+}
+
+/**
+ * Get feed settings (config.feed merged over the defaults)
+ */
+function getFeedSettings(config) {
+  return { limit: 20, formats: ['rss', 'atom', 'json'], tags: true, content: 'summary', ...config.feed };
+}
+
+/**
+ * Get URL of the RSS feed of a tag or taxonomy term
+ */
+function getTermFeedUrl(term, taxonomy) {
+  return `/${taxonomy.path}/${slugify(term)}/feed.xml`;
+}
+
+/**
+ * Generate <link rel="alternate"> tags for the site feeds,
+ * plus the feeds of `termFeeds` ([{ term, taxonomy }])
+ */
+function generateFeedLinks(config, termFeeds = []) {
+  const settings = getFeedSettings(config);
+  const siteTitle = escapeHtml(config.title);
+  const prefix = config.langPrefix || '';
+
+  const links = settings.formats.filter(format => feedFormats[format]).map(format => {
+    const { file, type, name } = feedFormats[format];
+    return `<link rel="alternate" type="${type}" title="${siteTitle} (${name})" href="${prefix}/${file}">`;
+  });
+
+  if (settings.tags) {
+    termFeeds.forEach(({ term, taxonomy }) => {
+      const title = `${siteTitle} - ${escapeHtml(taxonomy.label)}: ${escapeHtml(term)}`;
+      links.push(`<link rel="alternate" type="application/rss+xml" title="${title}" href="${getTermFeedUrl(term, taxonomy)}">`);
+    });
+  }
+
+  return links.join('\n    ');
+}
+
+/**
+ * Get the language switcher entries ([{ code, name, url, current }]):
+ * the translation of the current page in each language, or the
+ * language's home page when there is none
+ */
+function getLanguageList(config, translations = []) {
+  return getLanguages(config).map(language => {
+    const translation = translations.find(t => t.lang === language.code);
+    return {
+      code: language.code,
+      name: language.name,
+      url: translation ? translation.url : `${language.prefix}/`,
+      current: language.code === config.lang
+    };
+  });
+}
+
+/**
+ * Get data available to every page, such as the archive summary for sidebars,
+ * the site feed links, the language switcher and page URLs
+ */
+function getSiteData(posts, config) {
+  const archiveMonths = getArchiveMonths(posts, config)
+    .map(({ year, month, label, url, count }) => ({ year, month, label, url, count }));
+
+  return {
+    archiveList: generateArchiveListHtml(archiveMonths),
+    archiveMonths,
+    feedLinks: generateFeedLinks(config),
+    languageList: getLanguageList(config),
+    // URL of every page by its path under pages/ ({{pageUrls.about}}), for navigation
+    pageUrls: Object.fromEntries(posts.map(post => [post.translationKey, post.url]))
+  };
+}
+
+/**
+ * Get series navigation data for a post ("Part 2 of 5" with links to every part)
+ */
+function getSeriesNav(post, allPosts, config) {
+  if (!post.series) return null;
+
+  const parts = getSeriesParts(post.series, allPosts);
+  const position = parts.findIndex(part => part.filePath === post.filePath) + 1;
+
+  return {
+    name: post.series,
+    slug: slugify(post.series),
+    url: getSeriesUrl(post.series, config.langPrefix),
+    position,
+    total: parts.length,
+    parts: parts.map((part, i) => ({
+      title: part.title,
+      url: part.url,
+      position: i + 1,
+      current: part.filePath === post.filePath
+    })),
+    prevPart: position > 1 ? parts[position - 2] : null,
+    nextPart: position < parts.length ? parts[position] : null
+  };
+}
+
+/**
+ * Generate posts list HTML with lazy load support (posts newest first)
+ */
+function generatePostsListHtml(sortedPosts, config) {
 
   if (sortedPosts.length === 0) {
     return '<p>No posts yet.</p>';
@@ -219,7 +793,7 @@ function generatePostsListHtml(posts, config) {
     const isHidden = index >= initialCount;
     html += `
       <li class="post-item${isHidden ? ' hidden' : ''}" data-index="${index}">
-        <a href="/${post.slug}.html" class="post-title">${escapeHtml(post.title)}</a>
+        <a href="${post.url}" class="post-title">${escapeHtml(post.title)}</a>
         <span class="post-date">${formatDate(post.date, config.language)}</span>
         <span class="post-reading-time">${post.readingTime} min read</span>
         ${post.description ? `<p class="post-description">${escapeHtml(post.description)}</p>` : ''}
@@ -274,82 +848,222 @@ function generatePostsListHtml(posts, config) {
 /**
  * Generate tags list HTML
  */
-function generateTagsListHtml(posts) {
-  const tagCounts = {};
-  posts.filter(p => !p.draft).forEach(post => {
-    (post.tags || []).forEach(tag => {
-      tagCounts[tag] = (tagCounts[tag] || 0) + 1;
-    });
-  });
-
-  const sortedTags = Object.entries(tagCounts).sort((a, b) => b[1] - a[1]);
-
+function generateTagsListHtml(tags) {
   let html = '<ul class="tags-list">';
-  sortedTags.forEach(([tag, count]) => {
-    const tagSlug = slugify(tag);
-    html += `<li><a href="/tags/${tagSlug}.html">${escapeHtml(tag)} (${count})</a></li>`;
+  tags.forEach(tag => {
+    html += `<li><a href="${tag.url}">${escapeHtml(tag.name)} (${tag.count})</a></li>`;
   });
   html += '</ul>';
   return html;
 }
 
 /**
- * Replace template placeholders
+ * Get the template a post is rendered with (falls back to post, then default)
+ */
+function getPostTemplateName(post, templates) {
+  return [post.template, 'post', 'default'].find(name => templates[name]);
+}
+
+/**
+ * Check if a page shows the posts list / the tags list
+ */
+function isListPage(post) {
+  return post.template === 'list' || post.translationKey === 'index';
+}
+
+/**
+ * Get the taxonomy whose terms a page lists: a page under the taxonomy's
+ * folder (e.g. pages/tags/index.md), or any page using the tag template
+ */
+function getIndexTaxonomy(post, taxonomies) {
+  return taxonomies.find(taxonomy => post.slug.startsWith(`${taxonomy.path}/`))
+    || (post.template === 'tag' ? taxonomies[0] : null);
+}
+
+/**
+ * Get every post whose data is shown on a page: the page itself,
+ * its related posts, series parts, previous/next posts, translations
+ * and the entries of its posts or tags list
+ */
+function getPagePosts(post, allPosts, config, siteIndex) {
+  const pagePosts = [post, ...findRelatedPosts(post, allPosts, config)];
+  if (post.series) {
+    pagePosts.push(...getSeriesParts(post.series, allPosts));
+  }
+  const { prev, next } = getAdjacentPosts(post, siteIndex, config);
+  pagePosts.push(...[prev, next].filter(Boolean));
+  // Translations are linked from the page (hreflang and language switcher)
+  pagePosts.push(...post.translations);
+  if (isListPage(post)) {
+    pagePosts.push(...siteIndex.listedPosts);
+  }
+  const indexTaxonomy = getIndexTaxonomy(post, getTaxonomies(config));
+  if (indexTaxonomy) {
+    pagePosts.push(...allPosts.filter(p => getPostTerms(p, indexTaxonomy).length > 0));
+  }
+  return pagePosts;
+}
+
+/**
+ * Get the pages a template links to with pageUrls ({{pageUrls.about}} -> 'about'),
+ * or null when it uses all of them ({{#each pageUrls}})
  */
-function renderTemplate(template, data) {
-  let result = template;
+function getPageUrlKeys(sources) {
+  const keys = new Set();
+  for (const source of sources) {
+    for (const match of source.matchAll(/\bpageUrls\b(?:\.([\w/-]+))?/g)) {
+      if (!match[1]) return null;
+      keys.add(match[1]);
+    }
+  }
+  return [...keys];
+}
 
-  // Replace simple placeholders {{key}}
-  for (const [key, value] of Object.entries(data)) {
-    const placeholder = new RegExp(`\\{\\{\\s*${key}\\s*\\}\\}`, 'g');
-    result = result.replace(placeholder, value || '');
+/**
+ * Collect what an output depends on: its templates (with layouts and
+ * partials), the config, and the source of every post shown on it
+ */
+function getOutputDeps(templateName, pagePosts, state, data) {
+  if (!state.templateDeps[templateName]) {
+    const templateDeps = {};
+    for (const name of getTemplateDependencies(templateName, state.templates)) {
+      const source = state.templates[name];
+      templateDeps[name] = source === undefined ? null : getContentHash(source);
+    }
+    state.templateDeps[templateName] = templateDeps;
+    state.archiveTemplates[templateName] = Object.keys(templateDeps)
+      .some(name => /\barchive(List|Months)\b/.test(state.templates[name] || ''));
+    state.pageUrlKeys[templateName] = getPageUrlKeys(Object.keys(templateDeps).map(name => state.templates[name] || ''));
   }
 
-  return result;
+  const posts = {};
+  for (const post of pagePosts) {
+    posts[post.filePath] = state.sourceHashes[post.filePath];
+  }
+
+  const deps = { templates: state.templateDeps[templateName], config: state.configHash, posts };
+  if (data) deps.data = data;
+  // Pages showing the archive summary change whenever a month gains or loses posts
+  if (state.archiveTemplates[templateName]) deps.archive = state.archiveHash;
+  // Pages linking to other pages by URL change when one of those URLs does
+  const pageUrlKeys = state.pageUrlKeys[templateName];
+  if (pageUrlKeys === null) {
+    deps.pageUrls = state.pageUrlsHash;
+  } else if (pageUrlKeys.length > 0) {
+    const { pageUrls } = state.siteData;
+    deps.pageUrls = Object.fromEntries(pageUrlKeys.map(key =>
+      [key, Object.prototype.hasOwnProperty.call(pageUrls, key) ? pageUrls[key] : null]));
+  }
+  return deps;
+}
+
+/**
+ * Check if an output can be kept from the previous build (incremental builds)
+ */
+function isUpToDate(outputPath, deps, state) {
+  if (!state.incremental || needsRebuild(outputPath, deps, state.cache)) {
+    return false;
+  }
+  state.newCache.outputs[outputPath] = deps;
+  state.skippedCount++;
+  return true;
+}
+
+/**
+ * Save rendered HTML and record its dependencies
+ */
+function saveOutput(outputPath, deps, html, state) {
+  if (html == null) return false;
+
+  ensureDir(path.dirname(outputPath));
+  fs.writeFileSync(outputPath, html);
+  state.newCache.outputs[outputPath] = deps;
+  return true;
+}
+
+/**
+ * Write an output unless it is up to date (incremental builds).
+ * Returns true if the file was written.
+ */
+function writeOutput(outputPath, deps, render, state) {
+  if (isUpToDate(outputPath, deps, state)) return false;
+  return saveOutput(outputPath, deps, render(), state);
+}
+
+/**
+ * Write an output that is regenerated on every build
+ */
+function writeGeneratedFile(outputPath, content, state) {
+  ensureDir(path.dirname(outputPath));
+  fs.writeFileSync(outputPath, content);
+  state.newCache.outputs[outputPath] = null;
+}
+
+/**
+ * Remove outputs of the previous build that this build no longer produces
+ * (deleted or renamed pages, tags that disappeared, removed static files)
+ */
+function pruneOutputs(previousOutputs, currentOutputs, outputDir) {
+  for (const outputPath of Object.keys(previousOutputs)) {
+    if (outputPath in currentOutputs) continue;
+    if (removeFile(outputPath, outputDir)) {
+      console.log(`  Removed: ${path.relative(outputDir, outputPath)}`);
+    }
+  }
 }
 
 /**
- * Build a single post
+ * Build a single post. `siteIndex` (from getSiteIndex) is shared by all
+ * posts of a build.
  */
-function buildPost(post, templates, allPosts, config) {
-  const template = templates[post.template] || templates['post'] || templates['default'];
+function buildPost(post, templates, allPosts, config, siteIndex = getSiteIndex(allPosts, config)) {
+  const templateName = getPostTemplateName(post, templates);
+  const template = templates[templateName];
   
   if (!template) {
     console.warn(`Warning: No template found for ${post.slug}`);
     return null;
   }
 
-  // Find related posts
-  const relatedPosts = findRelatedPosts(post, allPosts);
+  // Find related posts and chronological neighbours
+  const relatedPosts = findRelatedPosts(post, allPosts, config);
+  const adjacentPosts = getAdjacentPosts(post, siteIndex, config);
   const relatedPostsHtml = generateRelatedPostsHtml(relatedPosts);
 
   // Generate meta tags
   const metaTags = generateMetaTags(post, config);
+  const authors = getPostAuthors(post, config);
 
   // Progress bar
   const progressBar = getProgressBarCode();
 
   // Tags HTML
-  const tagsHtml = post.tags.length > 0
-    ? '<div class="post-tags">' + post.tags.map(t => 
-        `<a href="/tags/${slugify(t)}.html" class="tag">${escapeHtml(t)}</a>`
+  const taxonomies = getTaxonomies(config);
+  const terms = getPostTermData(post, taxonomies);
+  const tagList = terms.tags || [];
+  const tagsHtml = tagList.length > 0
+    ? '<div class="post-tags">' + tagList.map(t => 
+        `<a href="${t.url}" class="tag">${escapeHtml(t.name)}</a>`
       ).join(' ') + '</div>'
     : '';
 
   // Generate posts list for list templates (only when needed)
-  const isListTemplate = post.template === 'list' || post.slug === 'index';
-  const isTagTemplate = post.template === 'tag' || post.slug.startsWith('tags/');
+  const isListTemplate = isListPage(post);
+  const indexTaxonomy = getIndexTaxonomy(post, taxonomies);
   
-  const postsListHtml = isListTemplate ? generatePostsListHtml(allPosts, config) : '';
-  const tagsListHtml = isTagTemplate ? generateTagsListHtml(allPosts) : '';
+  const postList = isListTemplate ? siteIndex.listedPosts : [];
+  const siteTags = indexTaxonomy ? getTermCounts(allPosts, indexTaxonomy) : [];
+  const postsListHtml = isListTemplate ? generatePostsListHtml(postList, config) : '';
+  const tagsListHtml = indexTaxonomy ? generateTagsListHtml(siteTags) : '';
 
   // Prepare template data
   const templateData = {
+    ...siteIndex.siteData,
     title: post.title,
     description: post.description,
-    date: formatDate(post.date, config.language),
+    date: new LocalizedDate(post.date, config.language),
     dateISO: post.date,
-    author: config.author,
+    author: authors.map(a => a.name).join(', '),
     content: post.content,
     toc: post.toc,
     readingTime: post.readingTime,
@@ -364,126 +1078,598 @@ function buildPost(post, templates, allPosts, config) {
     posts: postsListHtml,
     pagination: '',
     // For tags index page
-    tagsList: tagsListHtml
+    tagsList: tagsListHtml,
+    // Raw data for template loops and conditionals
+    post,
+    site: config,
+    image: post.image,
+    tagList,
+    terms,
+    feedLinks: generateFeedLinks(config, taxonomies.flatMap(taxonomy =>
+      getPostTerms(post, taxonomy).map(term => ({ term, taxonomy })))),
+    authorList: authors,
+    relatedPostList: relatedPosts,
+    seriesNav: getSeriesNav(post, allPosts, config),
+    translations: post.translations,
+    languageList: getLanguageList(config, post.translations),
+    prevPost: toNavData(adjacentPosts.prev),
+    nextPost: toNavData(adjacentPosts.next),
+    postList,
+    siteTags
   };
 
-  const html = renderTemplate(template, templateData);
+  let html = renderTemplate(template, templateData, { locale: config.language, name: templateName, templates });
+
+  // Drafts are only rendered in preview mode
+  if (post.draft) {
+    html = markAsDraft(html);
+  }
   
   // Convert image paths to WebP
   return convertImagesToWebp(html);
 }
 
 /**
- * Build tag pages
+ * Build term pages and an index page for every taxonomy
  */
-function buildTagPages(posts, templates, config, outputDir) {
-  const tagPosts = {};
-  
-  posts.filter(p => !p.draft).forEach(post => {
-    (post.tags || []).forEach(tag => {
-      if (!tagPosts[tag]) tagPosts[tag] = [];
-      tagPosts[tag].push(post);
-    });
+function buildTaxonomyPages(posts, templates, config, outputDir, state) {
+  getTaxonomies(config).forEach(taxonomy => {
+    buildTermPages(taxonomy, posts, templates, config, outputDir, state);
   });
+}
 
-  const tagsDir = path.join(outputDir, 'tags');
-  ensureDir(tagsDir);
+/**
+ * Build the term pages of a taxonomy (/<path>/<term>.html), plus
+ * /<path>/index.html unless pages/<path>/index.md provides one
+ */
+function buildTermPages(taxonomy, posts, templates, config, outputDir, state) {
+  const termPosts = groupPostsByTerm(posts, taxonomy);
+  if (Object.keys(termPosts).length === 0) return;
+
+  const termTemplateName = [taxonomy.template, 'tag', 'default'].find(name => templates[name]);
+  if (!termTemplateName) return;
 
-  const tagTemplate = templates['tag'] || templates['default'];
-  if (!tagTemplate) return;
+  const termsDir = path.join(outputDir, taxonomy.path);
+  ensureDir(termsDir);
 
-  for (const [tag, taggedPosts] of Object.entries(tagPosts)) {
-    const tagSlug = slugify(tag);
+  for (const [term, taggedPosts] of Object.entries(termPosts)) {
     const sortedPosts = taggedPosts.sort((a, b) => new Date(b.date) - new Date(a.date));
+    const termSlug = slugify(term);
+    const termUrl = getTermUrl(term, taxonomy.path);
+    let builtCount = 0;
+
+    // Page 1 is the term page itself, later pages go to /<path>/<term>/page/N.html
+    paginate(sortedPosts, config.postsPerPage).forEach(page => {
+      const outputPath = page.currentPage === 1
+        ? path.join(termsDir, `${termSlug}.html`)
+        : path.join(termsDir, termSlug, 'page', `${page.currentPage}.html`);
+      const deps = getOutputDeps(termTemplateName, page.items, state, {
+        currentPage: page.currentPage,
+        totalPages: page.totalPages,
+        totalItems: page.totalItems
+      });
 
-    let postsHtml = '<ul class="posts-list">';
-    sortedPosts.forEach(post => {
+      const pager = getPager(page, termUrl, n => `/${taxonomy.path}/${termSlug}/page/${n}.html`);
+      const render = () => renderTermPage(term, taxonomy, pager, termTemplateName, templates, config, state.siteData);
+      if (writeOutput(outputPath, deps, render, state)) {
+        builtCount++;
+      }
+    });
+
+    if (builtCount > 0) {
+      console.log(`  Built ${taxonomy.label.toLowerCase()}: ${term}`);
+    }
+  }
+
+  if (posts.some(p => p.slug === `${taxonomy.path}/index`)) return;
+
+  const termPostsList = posts.filter(p => getPostTerms(p, taxonomy).length > 0);
+  const deps = getOutputDeps(termTemplateName, termPostsList, state);
+  const render = () => renderTaxonomyIndexPage(taxonomy, posts, termTemplateName, templates, config, state.siteData);
+  if (writeOutput(path.join(termsDir, 'index.html'), deps, render, state)) {
+    console.log(`  Built: ${taxonomy.path}/index`);
+  }
+}
+
+/**
+ * Render a single (page of a) term page
+ */
+function renderTermPage(term, taxonomy, pager, templateName, templates, config, siteData) {
+  let postsHtml = '<ul class="posts-list">';
+  pager.items.forEach(post => {
+    postsHtml += `
+      <li class="post-item">
+        <a href="${post.url}">${escapeHtml(post.title)}</a>
+        <span class="post-date">${formatDate(post.date, config.language)}</span>
+      </li>
+    `;
+  });
+  postsHtml += '</ul>';
+
+  const title = `${escapeHtml(taxonomy.label)}: ${escapeHtml(term)}`;
+
+  return renderTemplate(templates[templateName], {
+    ...siteData,
+    title: pager.currentPage === 1 ? title : `${title} - Page ${pager.currentPage}`,
+    tag: escapeHtml(term),
+    posts: postsHtml,
+    postCount: pager.totalItems,
+    // Most terms fit on one page, which needs no page navigation
+    pagination: pager.totalPages > 1 ? generatePaginationHtml(pager) : '',
+    siteTitle: config.title,
+    siteUrl: config.siteUrl,
+    tagsList: '',
+    site: config,
+    taxonomy,
+    tagData: toTermData(term, taxonomy),
+    feedLinks: generateFeedLinks(config, [{ term, taxonomy }]),
+    postList: pager.items,
+    pager
+  }, { locale: config.language, name: templateName, templates });
+}
+
+/**
+ * Render the index page of a taxonomy listing all its terms
+ */
+function renderTaxonomyIndexPage(taxonomy, posts, templateName, templates, config, siteData) {
+  const siteTags = getTermCounts(posts, taxonomy);
+
+  return renderTemplate(templates[templateName], {
+    ...siteData,
+    title: escapeHtml(taxonomy.title),
+    posts: '',
+    pagination: '',
+    siteTitle: config.title,
+    siteUrl: config.siteUrl,
+    tagsList: generateTagsListHtml(siteTags),
+    site: config,
+    taxonomy,
+    siteTags
+  }, { locale: config.language, name: templateName, templates });
+}
+
+/**
+ * Build author pages (/authors/<id>.html), paginated like term pages
+ */
+function buildAuthorPages(posts, templates, config, outputDir, state) {
+  const authorPosts = new Map();
+  getListedPosts(posts, config).forEach(post => {
+    getPostAuthors(post, config).forEach(author => {
+      if (!authorPosts.has(author.id)) authorPosts.set(author.id, { author, posts: [] });
+      authorPosts.get(author.id).posts.push(post);
+    });
+  });
+  if (authorPosts.size === 0) return;
+
+  const authorTemplateName = ['author', 'tag', 'default'].find(name => templates[name]);
+  if (!authorTemplateName) return;
+
+  for (const { author, posts: writtenPosts } of authorPosts.values()) {
+    const authorSlug = slugify(author.id);
+    let builtCount = 0;
+
+    paginate(writtenPosts, config.postsPerPage).forEach(page => {
+      const outputPath = page.currentPage === 1
+        ? path.join(outputDir, config.langPrefix, 'authors', `${authorSlug}.html`)
+        : path.join(outputDir, config.langPrefix, 'authors', authorSlug, 'page', `${page.currentPage}.html`);
+      const deps = getOutputDeps(authorTemplateName, page.items, state, {
+        currentPage: page.currentPage,
+        totalPages: page.totalPages,
+        totalItems: page.totalItems
+      });
+
+      const pager = getPager(page, author.url, n => `${config.langPrefix}/authors/${authorSlug}/page/${n}.html`);
+      const render = () => renderAuthorPage(author, pager, authorTemplateName, templates, config, state.siteData);
+      if (writeOutput(outputPath, deps, render, state)) {
+        builtCount++;
+      }
+    });
+
+    if (builtCount > 0) {
+      console.log(`  Built author: ${author.name}`);
+    }
+  }
+}
+
+/**
+ * Render a single (page of an) author page
+ */
+function renderAuthorPage(author, pager, templateName, templates, config, siteData) {
+  let postsHtml = '<ul class="posts-list">';
+  pager.items.forEach(post => {
+    postsHtml += `
+      <li class="post-item">
+        <a href="${post.url}" class="post-title">${escapeHtml(post.title)}</a>
+        <span class="post-date">${formatDate(post.date, config.language)}</span>
+        ${post.description ? `<p class="post-description">${escapeHtml(post.description)}</p>` : ''}
+      </li>
+    `;
+  });
+  postsHtml += '</ul>';
+
+  const title = escapeHtml(author.name);
+
+  return renderTemplate(templates[templateName], {
+    ...siteData,
+    title: pager.currentPage === 1 ? title : `${title} - Page ${pager.currentPage}`,
+    author: title,
+    posts: postsHtml,
+    postCount: pager.totalItems,
+    pagination: pager.totalPages > 1 ? generatePaginationHtml(pager) : '',
+    siteTitle: config.title,
+    siteUrl: config.siteUrl,
+    tagsList: '',
+    site: config,
+    authorData: author,
+    postList: pager.items,
+    pager
+  }, { locale: config.language, name: templateName, templates });
+}
+
+/**
+ * Build series index pages
+ */
+function buildSeriesPages(posts, templates, config, outputDir, state) {
+  const seriesNames = [...new Set(posts.filter(p => p.series).map(p => p.series))];
+  if (seriesNames.length === 0) return;
+
+  const seriesTemplateName = ['series', 'tag', 'default'].find(name => templates[name]);
+  if (!seriesTemplateName) return;
+
+  for (const seriesName of seriesNames) {
+    const parts = getSeriesParts(seriesName, posts);
+    const outputPath = path.join(outputDir, config.langPrefix, 'series', `${slugify(seriesName)}.html`);
+    const deps = getOutputDeps(seriesTemplateName, parts, state);
+
+    const render = () => renderSeriesPage(seriesName, parts, templates[seriesTemplateName], templates, config, state.siteData);
+    if (writeOutput(outputPath, deps, render, state)) {
+      console.log(`  Built series: ${seriesName}`);
+    }
+  }
+}
+
+/**
+ * Render a single series index page
+ */
+function renderSeriesPage(seriesName, parts, seriesTemplate, templates, config, siteData) {
+  let postsHtml = '<ol class="posts-list series-list">';
+  parts.forEach(post => {
+    postsHtml += `
+      <li class="post-item">
+        <a href="${post.url}" class="post-title">${escapeHtml(post.title)}</a>
+        <span class="post-date">${formatDate(post.date, config.language)}</span>
+        ${post.description ? `<p class="post-description">${escapeHtml(post.description)}</p>` : ''}
+      </li>
+    `;
+  });
+  postsHtml += '</ol>';
+
+  return renderTemplate(seriesTemplate, {
+    ...siteData,
+    title: `Series: ${escapeHtml(seriesName)}`,
+    series: escapeHtml(seriesName),
+    posts: postsHtml,
+    postCount: parts.length,
+    siteTitle: config.title,
+    siteUrl: config.siteUrl,
+    tagsList: '',
+    site: config,
+    seriesData: { name: seriesName, slug: slugify(seriesName), url: getSeriesUrl(seriesName, config.langPrefix) },
+    postList: parts
+  }, { locale: config.language, name: 'series', templates });
+}
+
+/**
+ * Build date archive pages: /archive/, /<year>/ and /<year>/<month>/
+ */
+function buildArchivePages(posts, templates, config, outputDir, state) {
+  const months = getArchiveMonths(posts, config);
+  if (months.length === 0) return;
+
+  const archiveTemplateName = ['archive', 'list', 'default'].find(name => templates[name]);
+  if (!archiveTemplateName) return;
+
+  const pages = [{ kind: 'archive', dir: 'archive', title: 'Archive', months }];
+  [...new Set(months.map(m => m.year))].forEach(year => {
+    pages.push({ kind: 'year', dir: year, title: year, months: months.filter(m => m.year === year) });
+  });
+  months.forEach(month => {
+    pages.push({ kind: 'month', dir: path.join(month.year, month.month), title: month.label, months: [month] });
+  });
+
+  let builtCount = 0;
+  pages.forEach(page => {
+    const outputPath = path.join(outputDir, config.langPrefix, page.dir, 'index.html');
+    const pagePosts = page.months.flatMap(month => month.posts);
+    const deps = getOutputDeps(archiveTemplateName, pagePosts, state);
+
+    const render = () => renderArchivePage(page, archiveTemplateName, templates, config, state.siteData);
+    if (writeOutput(outputPath, deps, render, state)) {
+      builtCount++;
+    }
+  });
+
+  console.log(`  Built ${builtCount} archive pages`);
+}
+
+/**
+ * Render a single archive page, with posts under year and month headings
+ */
+function renderArchivePage(page, templateName, templates, config, siteData) {
+  let postsHtml = '';
+  let year = null;
+
+  page.months.forEach(month => {
+    if (page.kind === 'archive' && month.year !== year) {
+      year = month.year;
+      postsHtml += `<h2 class="archive-year"><a href="${config.langPrefix}/${year}/">${year}</a></h2>`;
+    }
+    if (page.kind !== 'month') {
+      const heading = page.kind === 'archive' ? 'h3' : 'h2';
+      postsHtml += `<${heading} class="archive-month"><a href="${month.url}">${escapeHtml(month.label)}</a></${heading}>`;
+    }
+
+    postsHtml += '<ul class="posts-list">';
+    month.posts.forEach(post => {
       postsHtml += `
-        <li class="post-item">
-          <a href="/${post.slug}.html">${escapeHtml(post.title)}</a>
-          <span class="post-date">${formatDate(post.date, config.language)}</span>
-        </li>
-      `;
+      <li class="post-item">
+        <a href="${post.url}" class="post-title">${escapeHtml(post.title)}</a>
+        <span class="post-date">${formatDate(post.date, config.language)}</span>
+      </li>
+    `;
     });
     postsHtml += '</ul>';
+  });
 
-    const html = renderTemplate(tagTemplate, {
-      title: `Tag: ${escapeHtml(tag)}`,
-      tag: escapeHtml(tag),
-      posts: postsHtml,
-      postCount: sortedPosts.length,
-      siteTitle: config.title,
-      siteUrl: config.siteUrl,
-      tagsList: ''
-    });
+  return renderTemplate(templates[templateName], {
+    ...siteData,
+    title: escapeHtml(page.title),
+    posts: postsHtml,
+    pagination: '',
+    siteTitle: config.title,
+    siteUrl: config.siteUrl,
+    site: config,
+    postList: page.months.flatMap(month => month.posts),
+    archiveGroups: page.months
+  }, { locale: config.language, name: templateName, templates });
+}
 
-    fs.writeFileSync(path.join(tagsDir, `${tagSlug}.html`), html);
-    console.log(`  Built tag: ${tag}`);
+/**
+ * Add page URLs to a page from paginate().
+ * `firstUrl` is where page 1 lives, `getPageUrl(n)` gives the URL of page n.
+ */
+function getPager(page, firstUrl, getPageUrl) {
+  const urlOf = n => n === 1 ? firstUrl : getPageUrl(n);
+  return {
+    ...page,
+    prevUrl: page.hasPrev ? urlOf(page.prevPage) : '',
+    nextUrl: page.hasNext ? urlOf(page.nextPage) : ''
+  };
+}
+
+/**
+ * Generate pagination navigation HTML
+ */
+function generatePaginationHtml(pager) {
+  let html = '<nav class="pagination">';
+  if (pager.hasPrev) {
+    html += `<a href="${pager.prevUrl}" class="prev">← Previous</a>`;
+  }
+  html += `<span class="current">Page ${pager.currentPage} / ${pager.totalPages}</span>`;
+  if (pager.hasNext) {
+    html += `<a href="${pager.nextUrl}" class="next">Next →</a>`;
   }
+  html += '</nav>';
+  return html;
 }
 
 /**
  * Build pagination pages
  */
-function buildPaginationPages(posts, templates, config, outputDir) {
-  const sortedPosts = posts
-    .filter(p => !p.draft && p.slug !== 'index' && p.slug !== 'about' && !p.slug.startsWith('tags/'))
-    .sort((a, b) => new Date(b.date) - new Date(a.date));
+function buildPaginationPages(posts, templates, config, outputDir, state) {
+  const sortedPosts = getListedPosts(posts, config);
 
   const pages = paginate(sortedPosts, config.postsPerPage);
-  const listTemplate = templates['list'] || templates['default'];
+  const listTemplateName = templates['list'] ? 'list' : 'default';
+  const listTemplate = templates[listTemplateName];
   
   if (!listTemplate) return;
 
-  const pagesDir = path.join(outputDir, 'page');
+  const homeDir = path.join(outputDir, config.langPrefix);
+  const pagesDir = path.join(homeDir, 'page');
   ensureDir(pagesDir);
 
+  // Page 1 doubles as the home page when there is no pages/index.md
+  const hasIndexPage = posts.some(p => p.translationKey === 'index');
+  let builtCount = 0;
+
   pages.forEach(page => {
-    let postsHtml = '<ul class="posts-list">';
-    page.items.forEach(post => {
-      postsHtml += `
-        <li class="post-item">
-          <a href="/${post.slug}.html" class="post-title">${escapeHtml(post.title)}</a>
-          <span class="post-date">${formatDate(post.date, config.language)}</span>
-          <span class="post-reading-time">${post.readingTime} min read</span>
-          ${post.description ? `<p class="post-description">${escapeHtml(post.description)}</p>` : ''}
-        </li>
-      `;
+    const deps = getOutputDeps(listTemplateName, page.items, state, {
+      currentPage: page.currentPage,
+      totalPages: page.totalPages,
+      totalItems: page.totalItems
     });
-    postsHtml += '</ul>';
+    const pager = getPager(page, `${config.langPrefix}/`, n => `${config.langPrefix}/page/${n}.html`);
+    const render = () => renderPaginationPage(pager, listTemplate, templates, config, state.siteData);
+
+    if (page.currentPage === 1 && !hasIndexPage) {
+      writeOutput(path.join(homeDir, 'index.html'), deps, render, state);
+    }
+
+    if (writeOutput(path.join(pagesDir, `${page.currentPage}.html`), deps, render, state)) {
+      builtCount++;
+    }
+  });
+
+  console.log(`  Built ${builtCount} pagination pages`);
+}
+
+/**
+ * Render a single pagination page
+ */
+function renderPaginationPage(pager, listTemplate, templates, config, siteData) {
+  let postsHtml = '<ul class="posts-list">';
+  pager.items.forEach(post => {
+    postsHtml += `
+      <li class="post-item">
+        <a href="${post.url}" class="post-title">${escapeHtml(post.title)}</a>
+        <span class="post-date">${formatDate(post.date, config.language)}</span>
+        <span class="post-reading-time">${post.readingTime} min read</span>
+        ${post.description ? `<p class="post-description">${escapeHtml(post.description)}</p>` : ''}
+      </li>
+    `;
+  });
+  postsHtml += '</ul>';
+
+  return renderTemplate(listTemplate, {
+    ...siteData,
+    title: pager.currentPage === 1 ? config.title : `Page ${pager.currentPage} - ${config.title}`,
+    posts: postsHtml,
+    pagination: generatePaginationHtml(pager),
+    siteTitle: config.title,
+    siteUrl: config.siteUrl,
+    site: config,
+    postList: pager.items,
+    pager
+  }, { locale: config.language, name: 'list', templates });
+}
 
-    // Pagination navigation
-    let paginationHtml = '<nav class="pagination">';
-    if (page.hasPrev) {
-      const prevUrl = page.prevPage === 1 ? '/' : `/page/${page.prevPage}.html`;
-      paginationHtml += `<a href="${prevUrl}" class="prev">← Previous</a>`;
+/**
+ * Write the site feeds, plus an RSS feed per tag (and taxonomy term)
+ * at /<path>/<term>/feed.xml
+ */
+function writeFeeds(posts, config, outputDir, state) {
+  const settings = getFeedSettings(config);
+
+  // Full post HTML, prepared once per post as it shows up in several feeds
+  const feedContent = new Map();
+  const getContent = settings.content === 'full' ? post => {
+    if (!feedContent.has(post.filePath)) {
+      const html = convertImagesToWebp(post.content);
+      feedContent.set(post.filePath, toFeedHtml(html, `${config.siteUrl}${post.url}`));
     }
-    paginationHtml += `<span class="current">Page ${page.currentPage} / ${page.totalPages}</span>`;
-    if (page.hasNext) {
-      paginationHtml += `<a href="/page/${page.nextPage}.html" class="next">Next →</a>`;
+    return feedContent.get(post.filePath);
+  } : null;
+
+  settings.formats.forEach(format => {
+    const feedFormat = feedFormats[format];
+    if (!feedFormat) {
+      console.warn(`Warning: Unknown feed format "${format}"`);
+      return;
     }
-    paginationHtml += '</nav>';
-
-    const html = renderTemplate(listTemplate, {
-      title: page.currentPage === 1 ? config.title : `Page ${page.currentPage} - ${config.title}`,
-      posts: postsHtml,
-      pagination: paginationHtml,
-      siteTitle: config.title,
-      siteUrl: config.siteUrl
+    const feed = feedFormat.generate(posts, config, { limit: settings.limit, getContent });
+    writeGeneratedFile(path.join(outputDir, config.langPrefix, feedFormat.file), feed, state);
+    console.log(`  Generated: ${path.posix.join(config.langPrefix.slice(1), feedFormat.file)}`);
+  });
+
+  if (!settings.tags) return;
+
+  let feedCount = 0;
+  getTaxonomies(config).forEach(taxonomy => {
+    for (const [term, termPosts] of Object.entries(groupPostsByTerm(posts, taxonomy))) {
+      const feedUrl = getTermFeedUrl(term, taxonomy);
+      const rss = generateRSS(termPosts, config, {
+        title: `${config.title} - ${taxonomy.label}: ${term}`,
+        link: `${config.siteUrl}${getTermUrl(term, taxonomy.path)}`,
+        feedUrl: `${config.siteUrl}${feedUrl}`,
+        limit: settings.limit,
+        getContent
+      });
+      writeGeneratedFile(path.join(outputDir, feedUrl), rss, state);
+      feedCount++;
+    }
+  });
+  console.log(`  Generated: ${feedCount} tag feeds`);
+}
+
+/**
+ * Get the redirects of the site ([{ from, to }]): the `aliases` of each
+ * post (its old URLs) and config.redirects ({ "/old.html": "/new/" })
+ */
+function getRedirects(posts, config) {
+  const redirects = [];
+  posts.forEach(post => {
+    [].concat(post.frontmatter.aliases || []).forEach(alias => {
+      redirects.push({ from: String(alias), to: post.url });
     });
+  });
+  for (const [from, to] of Object.entries(config.redirects || {})) {
+    redirects.push({ from, to: String(to) });
+  }
 
-    if (page.currentPage === 1) {
-      // Also save as index if no custom index exists
-      const indexPath = path.join(outputDir, 'index.html');
-      if (!fs.existsSync(indexPath)) {
-        fs.writeFileSync(indexPath, html);
+  return redirects
+    .map(({ from, to }) => ({ from: path.posix.normalize(`/${from.replace(/^\/+/, '')}`), to }))
+    .filter(({ from, to }) => {
+      if (/\s/.test(from + to)) {
+        console.warn(`Warning: Skipping redirect ${from} -> ${to} (URLs cannot contain spaces)`);
+        return false;
       }
+      return true;
+    });
+}
+
+/**
+ * Write a meta refresh page at every redirected URL, plus _redirects and
+ * redirects.map (nginx) so hosts that support it can answer with a 301
+ */
+function writeRedirects(posts, config, outputDir, state) {
+  const redirects = getRedirects(posts, config).filter(({ from, to }) => {
+    const file = from.endsWith('/') || path.extname(from) ? getOutputFile(from) : `${from}.html`;
+    const outputPath = path.join(outputDir, file);
+    if (!isInsideDir(outputPath, outputDir)) {
+      console.warn(`Warning: Skipping redirect from ${from} (outside the site)`);
+      return false;
     }
-    
-    fs.writeFileSync(path.join(pagesDir, `${page.currentPage}.html`), html);
+    if (state.newCache.outputs[outputPath] !== undefined) {
+      console.warn(`Warning: Redirect from ${from} conflicts with another page or redirect, skipping`);
+      return false;
+    }
+    writeGeneratedFile(outputPath, generateRedirectPage(to, config), state);
+    return true;
   });
+  if (redirects.length === 0) return;
+
+  writeGeneratedFile(path.join(outputDir, '_redirects'), generateRedirectsFile(redirects), state);
+  writeGeneratedFile(path.join(outputDir, 'redirects.map'), generateNginxRedirectMap(redirects), state);
+  console.log(`  Generated: ${redirects.length} redirects`);
+}
 
-  console.log(`  Built ${pages.length} pagination pages`);
+/**
+ * Parse markdown files, in worker threads when a pool is given
+ */
+async function parsePosts(filePaths, projectDir, shortcodes, examplesDir, pool) {
+  if (!pool) {
+    return filePaths.map(filePath => parseMarkdownFile(filePath, projectDir, shortcodes, examplesDir));
+  }
+  return Promise.all(filePaths.map(filePath => pool.run('parse', { filePath, projectDir, shortcodes, examplesDir })));
+}
+
+/**
+ * Render posts, in worker threads when a pool is given.
+ * Workers receive all posts once (and index them), then render by index.
+ */
+async function renderPosts(jobs, posts, templates, config, siteIndex, pool) {
+  if (!pool || jobs.length === 0) {
+    return jobs.map(job => buildPost(job.post, templates, posts, config, siteIndex));
+  }
+  await pool.broadcast('setup', { posts, templates, config });
+  return Promise.all(jobs.map(job => pool.run('render', { index: job.index })));
+}
+
+/**
+ * Copy the KaTeX stylesheet and its fonts to /css/katex/, for pages with math
+ */
+function writeMathAssets(outputDir, state) {
+  const katexDir = path.dirname(require.resolve('katex/dist/katex.min.css'));
+  const mathDir = path.join(outputDir, 'css', 'katex');
+  const stylesheet = path.join(mathDir, 'katex.min.css');
+
+  ensureDir(mathDir);
+  fs.copyFileSync(path.join(katexDir, 'katex.min.css'), stylesheet);
+  state.newCache.outputs[stylesheet] = null;
+  copyDir(path.join(katexDir, 'fonts'), path.join(mathDir, 'fonts')).forEach(file => {
+    state.newCache.outputs[file] = null;
+  });
 }
 
 /**
@@ -505,9 +1691,10 @@ async function build(projectDir, options = {}) {
   const staticDir = path.join(projectDir, 'static');
   const cacheFile = path.join(projectDir, '.lite-blog-cache.json');
 
-  // Load build cache for incremental builds
-  const cache = incremental ? loadBuildCache(cacheFile) : {};
-  const newCache = {};
+  // Load build cache for incremental builds (discarded when lite-blog was upgraded)
+  const loadedCache = incremental ? loadBuildCache(cacheFile) : {};
+  const cache = loadedCache.version === version ? loadedCache : {};
+  const newCache = { version, outputs: {} };
 
   // Clean or ensure output directory
   if (!incremental) {
@@ -520,73 +1707,235 @@ async function build(projectDir, options = {}) {
   const templates = loadTemplates(projectDir);
   console.log(`  Loaded ${Object.keys(templates).length} templates`);
 
-  // Find all markdown files
-  const mdFiles = await glob('**/*.md', { cwd: pagesDir });
+  // Find all markdown files (sorted so builds are deterministic)
+  const mdFiles = (await glob('**/*.md', { cwd: pagesDir })).sort();
   console.log(`  Found ${mdFiles.length} pages`);
 
-  // Parse all posts
-  const posts = [];
-  for (const file of mdFiles) {
-    const filePath = path.join(pagesDir, file);
-    const post = parseMarkdownFile(filePath, projectDir);
-    posts.push(post);
-    newCache[filePath] = getFileHash(filePath);
+  const filePaths = mdFiles.map(file => path.join(pagesDir, file));
+  const fileHashes = {};
+  for (const filePath of filePaths) {
+    fileHashes[filePath] = getFileHash(filePath);
   }
 
-  // Build each post
-  let builtCount = 0;
-  let hasNewPosts = false;
-  
-  for (const post of posts) {
-    if (post.draft) {
-      console.log(`  Skipping draft: ${post.slug}`);
-      continue;
-    }
+  // Shortcode templates, and the hashes pages that use them are checked against
+  const shortcodes = loadShortcodes(projectDir);
+  const dependencyHashes = {};
+  for (const [name, source] of Object.entries(shortcodes)) {
+    dependencyHashes[`shortcode:${name}`] = getContentHash(source);
+  }
 
-    // Check if rebuild needed (incremental)
-    const needsBuild = !incremental || needsRebuild(post.filePath, cache);
-    
-    if (needsBuild) {
-      hasNewPosts = true;
-      const html = buildPost(post, templates, posts, config);
-      if (html) {
-        const outputPath = path.join(outputDir, `${post.slug}.html`);
-        ensureDir(path.dirname(outputPath));
-        fs.writeFileSync(outputPath, html);
-        builtCount++;
-        console.log(`  Built: ${post.slug}`);
+  // Source hash of each post: its markdown plus its dependencies (set once parsed)
+  const sourceHashes = {};
+
+  // Shared state for dependency tracking
+  const state = {
+    incremental,
+    cache,
+    newCache,
+    templates,
+    sourceHashes,
+    configHash: getContentHash(JSON.stringify(config)),
+    templateDeps: {},
+    archiveTemplates: {},
+    pageUrlKeys: {},
+    siteData: null,
+    archiveHash: null,
+    pageUrlsHash: null,
+    skippedCount: 0
+  };
+
+  // Reuse parsed posts from the cache when the markdown and its dependencies are unchanged
+  const cachedPosts = cache.posts || {};
+
+  // Examples directory and hashes of the example files cached posts include
+  // (null once deleted, none for files outside the examples directory, so
+  // pages are parsed again when config.examplesDir changes)
+  const examplesDir = path.join(projectDir, config.examplesDir);
+  dependencyHashes.examplesDir = path.relative(projectDir, examplesDir).replace(/\\/g, '/');
+  for (const { post } of Object.values(cachedPosts)) {
+    for (const key of Object.keys(post.dependencies || {})) {
+      const includedPath = path.join(projectDir, key.slice('file:'.length));
+      if (key.startsWith('file:') && !(key in dependencyHashes) && isInsideDir(includedPath, examplesDir)) {
+        dependencyHashes[key] = getFileHash(includedPath);
       }
     }
   }
 
-  // If any post changed, rebuild index and list pages too
-  if (hasNewPosts || !incremental) {
-    // Rebuild index page
-    const indexPost = posts.find(p => p.slug === 'index');
-    if (indexPost) {
-      const html = buildPost(indexPost, templates, posts, config);
-      if (html) {
-        fs.writeFileSync(path.join(outputDir, 'index.html'), html);
-        console.log('  Rebuilt: index');
+  const isCached = filePath => cachedPosts[filePath]
+    && cachedPosts[filePath].hash === fileHashes[filePath]
+    && Boolean(cachedPosts[filePath].post.dependencies)
+    && Object.entries(cachedPosts[filePath].post.dependencies)
+      .every(([key, hash]) => dependencyHashes[key] === hash);
+  const changedFiles = filePaths.filter(filePath => !isCached(filePath));
+  newCache.posts = {};
+
+  // Worker pool is started on first use, only when there is enough work
+  let pool = null;
+  const getPool = taskCount => {
+    if (!pool) {
+      const workerCount = getWorkerCount(taskCount, options.workers ?? config.workers);
+      if (workerCount > 0) {
+        pool = new WorkerPool(workerCount);
+        console.log(`  Using ${pool.size} worker threads`);
+      }
+    }
+    return pool;
+  };
+
+  // Posts dated in the future are held back unless building with `future`,
+  // drafts unless building with `drafts`
+  const visibility = { now: new Date(), future: Boolean(options.future), drafts: Boolean(options.drafts) };
+
+  // Multilingual sites build every language with its own config and posts
+  const languages = getLanguages(config);
+  const sites = getLanguageConfigs(config).map(siteConfig => ({ config: siteConfig }));
+
+  let posts;
+  let visiblePosts;
+
+  try {
+    // Parse changed posts
+    const parsed = await parsePosts(changedFiles, projectDir, shortcodes, examplesDir, getPool(changedFiles.length));
+    const parsedByPath = new Map(changedFiles.map((filePath, i) => [filePath, parsed[i]]));
+    console.log(`  Parsed ${changedFiles.length} pages (${filePaths.length - changedFiles.length} cached)`);
+
+    posts = filePaths.map(filePath => {
+      const post = parsedByPath.get(filePath) || cachedPosts[filePath].post;
+      newCache.posts[filePath] = { hash: fileHashes[filePath], post };
+      sourceHashes[filePath] = Object.keys(post.dependencies).length > 0
+        ? getContentHash(fileHashes[filePath] + JSON.stringify(post.dependencies))
+        : fileHashes[filePath];
+      return post;
+    });
+
+    // Language and URL of each post (with the config of its language)
+    const localizedPosts = posts.map(p => localizePost(p, languages)).map(post =>
+      setPermalink(post, sites.find(site => site.config.lang === post.lang).config));
+
+    // Drafts, scheduled and expired posts are left out of every output.
+    // In drafts preview mode, drafts are rendered but still kept out of RSS and the sitemap.
+    visiblePosts = [];
+    for (const post of localizedPosts) {
+      const status = getPostStatus(post, visibility);
+      if (status === 'published') {
+        visiblePosts.push(post);
+      } else if (status === 'draft' && visibility.drafts) {
+        visiblePosts.push(post);
+        console.log(`  Previewing draft: ${post.slug}`);
+      } else if (status === 'scheduled') {
+        console.log(`  Skipping scheduled: ${post.slug} (publishes ${formatDate(post.publishDate, config.language)})`);
+      } else {
+        console.log(`  Skipping ${status}: ${post.slug}`);
       }
     }
+    visiblePosts = addTranslations(visiblePosts, languages);
+
+    // Permalink patterns can give two posts the same URL
+    const outputOwners = new Map();
+
+    for (const site of sites) {
+      site.posts = visiblePosts.filter(post => post.lang === site.config.lang);
+      site.feedPosts = site.posts.filter(post => !post.draft);
+
+      // Data shown on every page (archive summary, language switcher)
+      site.index = getSiteIndex(site.posts, site.config);
+      state.siteData = site.siteData = site.index.siteData;
+      state.archiveHash = site.archiveHash = getContentHash(JSON.stringify(site.siteData.archiveMonths));
+      state.pageUrlsHash = site.pageUrlsHash = getContentHash(JSON.stringify(site.siteData.pageUrls));
+
+      // Find posts that need building
+      site.jobs = [];
+      site.posts.forEach((post, index) => {
+        const templateName = getPostTemplateName(post, templates);
+        const deps = getOutputDeps(templateName, getPagePosts(post, site.posts, site.config, site.index), state);
+        const outputPath = path.join(outputDir, getOutputFile(post.url));
+        if (!isInsideDir(outputPath, outputDir)) {
+          console.warn(`Warning: Skipping ${post.slug}, its URL ${post.url} is outside the site`);
+          return;
+        }
+
+        if (outputOwners.has(outputPath)) {
+          console.warn(`Warning: ${post.slug} and ${outputOwners.get(outputPath)} have the same URL ${post.url}`);
+        }
+        outputOwners.set(outputPath, post.slug);
+
+        if (!isUpToDate(outputPath, deps, state)) {
+          site.jobs.push({ post, index, deps, outputPath });
+        }
+      });
+
+      // Render posts
+      site.rendered = await renderPosts(site.jobs, site.posts, templates, site.config, site.index, getPool(site.jobs.length));
+    }
+  } finally {
+    if (pool) await pool.close();
   }
 
-  // Build tag pages
-  buildTagPages(posts, templates, config, outputDir);
+  for (const site of sites) {
+    const siteConfig = site.config;
+    state.siteData = site.siteData;
+    state.archiveHash = site.archiveHash;
+    state.pageUrlsHash = site.pageUrlsHash;
 
-  // Build pagination
-  buildPaginationPages(posts, templates, config, outputDir);
+    if (languages.length > 0) {
+      console.log(`  Language: ${siteConfig.lang} (${site.posts.length} pages)`);
+    }
+
+    // Write posts
+    site.jobs.forEach((job, i) => {
+      if (saveOutput(job.outputPath, job.deps, site.rendered[i], state)) {
+        console.log(`  Built: ${job.post.slug}`);
+      }
+    });
 
-  // Generate RSS
-  const rss = generateRSS(posts, config);
-  fs.writeFileSync(path.join(outputDir, 'rss.xml'), rss);
-  console.log('  Generated: rss.xml');
+    // Build tag and other taxonomy pages
+    buildTaxonomyPages(site.posts, templates, siteConfig, outputDir, state);
 
-  // Generate sitemap
-  const sitemap = generateSitemap(posts, config);
-  fs.writeFileSync(path.join(outputDir, 'sitemap.xml'), sitemap);
-  console.log('  Generated: sitemap.xml');
+    // Build author pages
+    buildAuthorPages(site.posts, templates, siteConfig, outputDir, state);
+
+    // Build series pages
+    buildSeriesPages(site.posts, templates, siteConfig, outputDir, state);
+
+    // Build pagination
+    buildPaginationPages(site.posts, templates, siteConfig, outputDir, state);
+
+    // Build date archives
+    buildArchivePages(site.posts, templates, siteConfig, outputDir, state);
+  }
+
+  if (state.skippedCount > 0) {
+    console.log(`  Skipped ${state.skippedCount} unchanged pages (cached)`);
+  }
+
+  for (const site of sites) {
+    // Generate feeds
+    writeFeeds(site.feedPosts, site.config, outputDir, state);
+
+    // Generate sitemap
+    const sitemapFile = path.posix.join(site.config.langPrefix.slice(1), 'sitemap.xml');
+    const sitemap = generateSitemap(site.feedPosts, site.config);
+    writeGeneratedFile(path.join(outputDir, sitemapFile), sitemap, state);
+    console.log(`  Generated: ${sitemapFile}`);
+  }
+
+  // Generate redirects for old URLs
+  writeRedirects(visiblePosts, config, outputDir, state);
+
+  // Generate search index (drafts stay out of it, like out of feeds and the sitemap)
+  if (config.search !== false) {
+    const searchFiles = generateSearchIndex(getListedPosts(visiblePosts.filter(post => !post.draft), config));
+    for (const [name, data] of Object.entries(searchFiles)) {
+      writeGeneratedFile(path.join(outputDir, 'search', name), JSON.stringify(data), state);
+    }
+    console.log(`  Generated: search index (${Object.keys(searchFiles).length} files)`);
+  }
+
+  // Math stylesheet, only when some page uses math
+  if (visiblePosts.some(post => post.math)) {
+    writeMathAssets(outputDir, state);
+    console.log('  Copied: css/katex (math stylesheet)');
+  }
 
   // Process static files
   if (fs.existsSync(staticDir)) {
@@ -608,19 +1957,34 @@ async function build(projectDir, options = {}) {
       const destPath = path.join(outputDir, entry.name);
       
       if (entry.isDirectory()) {
-        copyDir(srcPath, destPath);
+        copyDir(srcPath, destPath).forEach(file => { newCache.outputs[file] = null; });
       } else {
         fs.copyFileSync(srcPath, destPath);
+        newCache.outputs[destPath] = null;
       }
     }
     console.log('  Copied static files');
   }
 
-  // Copy 404 page if exists
-  const custom404 = path.join(projectDir, 'templates', '404.html');
-  if (fs.existsSync(custom404)) {
-    fs.copyFileSync(custom404, path.join(outputDir, '404.html'));
-    console.log('  Copied 404.html');
+  // Render 404 page if template exists (in the default language, served from the root)
+  if (templates['404']) {
+    const defaultSite = sites.find(site => !site.config.langPrefix);
+    const siteConfig = defaultSite.config;
+    const html = renderTemplate(templates['404'], {
+      ...defaultSite.siteData,
+      title: 'Page Not Found',
+      siteTitle: siteConfig.title,
+      siteDescription: siteConfig.description,
+      siteUrl: siteConfig.siteUrl,
+      site: siteConfig
+    }, { locale: siteConfig.language, name: '404', templates });
+    writeGeneratedFile(path.join(outputDir, '404.html'), html, state);
+    console.log('  Built: 404.html');
+  }
+
+  // Remove stale outputs recorded by the previous build
+  if (incremental) {
+    pruneOutputs(loadedCache.outputs || {}, newCache.outputs, outputDir);
   }
 
   // Save cache
@@ -633,4 +1997,4 @@ async function build(projectDir, options = {}) {
   return { posts, config, outputDir };
 }
 
-module.exports = { build, loadConfig, loadTemplates, parseMarkdownFile };
+module.exports = { build, buildPost, getSiteIndex, loadConfig, loadTemplates, parseMarkdownFile };
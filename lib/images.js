@@ -1,8 +1,7 @@
 const fs = require('fs');
 const path = require('path');
-const sharp = require('sharp');
 const { glob } = require('glob');
-const { ensureDir, getFileHash, loadBuildCache, saveBuildCache } = require('./utils.js');
+const { ensureDir, getFileHash, loadBuildCache, saveBuildCache, removeFile } = require('./utils.js');
 
 /**
  * Image optimization settings
@@ -42,6 +41,9 @@ async function optimizeImage(inputPath, outputDir, settings = {}) {
   const results = [];
 
   try {
+    // Loaded lazily: build worker threads use this module for convertImagesToWebp only
+    const sharp = require('sharp');
+
     // Convert to WebP only (no original copy to save space)
     const webpPath = path.join(outputDir, `${name}.webp`);
     await sharp(inputPath)
@@ -146,6 +148,25 @@ async function processImages(inputDir, outputDir, settings = {}) {
     fs.copyFileSync(inputPath, outputPath);
   }
 
+  // Remove outputs whose source image is gone
+  const expectedOutputs = new Set();
+  for (const file of optimizableImages) {
+    const outDir = path.join(outputDir, path.dirname(file));
+    const name = path.basename(file, path.extname(file));
+    expectedOutputs.add(path.join(outDir, `${name}.webp`));
+    expectedOutputs.add(path.join(outputDir, file)); // fallback copy when conversion fails
+  }
+  for (const file of [...copyOnlyImages, ...nonImageFiles]) {
+    expectedOutputs.add(path.join(outputDir, file));
+  }
+
+  const existingOutputs = await glob('**/*', { cwd: outputDir, nodir: true });
+  for (const file of existingOutputs) {
+    if (!expectedOutputs.has(path.join(outputDir, file)) && removeFile(path.join(outputDir, file), outputDir)) {
+      console.log(`  Removed: ${file}`);
+    }
+  }
+
   saveBuildCache(cacheFile, newCache);
 
   return results;
@@ -28,106 +28,124 @@ document.addEventListener("DOMContentLoaded",function(){
 });
 </script>`;
 
+/**
+ * Copy buttons for code blocks (diff markers and removed lines are left out)
+ */
+const copyCodeScript = `<script>
+document.addEventListener("DOMContentLoaded",function(){
+  if(!navigator.clipboard)return;
+  function getText(code){
+    const lines=code.querySelectorAll(".line");
+    if(!lines.length)return code.textContent;
+    return Array.from(lines).filter(function(l){return!l.classList.contains("line-removed")}).map(function(l){
+      const m=l.querySelector(".diff-marker");
+      return l.textContent.slice(m?m.textContent.length:0);
+    }).join("\\n");
+  }
+  document.querySelectorAll(".code-block").forEach(function(block){
+    const button=document.createElement("button");
+    button.type="button";
+    button.className="code-copy";
+    button.textContent="Copy";
+    button.setAttribute("aria-label","Copy code to clipboard");
+    button.setAttribute("aria-live","polite");
+    button.addEventListener("click",function(){
+      navigator.clipboard.writeText(getText(block.querySelector("code"))).then(function(){
+        button.textContent="Copied";
+        button.setAttribute("aria-label","Code copied");
+        setTimeout(function(){
+          button.textContent="Copy";
+          button.setAttribute("aria-label","Copy code to clipboard");
+        },2000);
+      });
+    });
+    block.appendChild(button);
+  });
+});
+</script>`;
+
 /**
  * Default templates
  */
 const defaultTemplates = {
-  'default.html': `<!DOCTYPE html>
-<html lang="en" data-theme="light">
+  'layouts/base.html': `<!DOCTYPE html>
+<html lang="{{site.language}}" data-theme="light">
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>{{title}} - {{siteTitle}}</title>
-    {{metaTags}}
+    <title>{{#block "title"}}{{title}} - {{siteTitle}}{{/block}}</title>
+    {{#block "head"}}{{/block}}
+    {{feedLinks}}
     <link rel="stylesheet" href="/css/style.css">
-    <link rel="stylesheet" href="/css/hljs.css">
+    {{#if post.math}}<link rel="stylesheet" href="/css/katex/katex.min.css">{{/if}}
     ${themeScript}
 </head>
 <body>
-    {{progressBar}}
-    <header class="site-header">
-        <nav>
-            <a href="/" class="logo">{{siteTitle}}</a>
-            <div class="nav-links">
-                <a href="/">Home</a>
-                <a href="/tags">Tags</a>
-                <a href="/about.html">About</a>
-                <a href="/rss.xml">RSS</a>
-                <button id="theme-toggle" class="theme-toggle" title="Toggle theme">
-                    <svg class="sun-icon" xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="12" cy="12" r="5"></circle><line x1="12" y1="1" x2="12" y2="3"></line><line x1="12" y1="21" x2="12" y2="23"></line><line x1="4.22" y1="4.22" x2="5.64" y2="5.64"></line><line x1="18.36" y1="18.36" x2="19.78" y2="19.78"></line><line x1="1" y1="12" x2="3" y2="12"></line><line x1="21" y1="12" x2="23" y2="12"></line><line x1="4.22" y1="19.78" x2="5.64" y2="18.36"></line><line x1="18.36" y1="5.64" x2="19.78" y2="4.22"></line></svg>
-                    <svg class="moon-icon" xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M21 12.79A9 9 0 1 1 11.21 3 7 7 0 0 0 21 12.79z"></path></svg>
-                </button>
-            </div>
-        </nav>
-    </header>
+    {{#block "top"}}{{/block}}
+    {{> header}}
 
     <main>
-        <article class="post">
-            <header class="post-header">
-                <h1>{{title}}</h1>
-                <div class="post-meta">
-                    <time datetime="{{dateISO}}">{{date}}</time>
-                    <span class="reading-time">{{readingTime}} min read</span>
-                </div>
-                {{tags}}
-            </header>
-            
-            {{toc}}
-            
-            <div id="page-content" class="post-content">
-                {{content}}
-            </div>
-
-            {{relatedPosts}}
-        </article>
+        {{#block "content"}}{{/block}}
     </main>
 
-    <footer class="site-footer">
-        <p>&copy; 2025 {{siteTitle}}. Built with lite-blog.</p>
-    </footer>
-    ${smoothScrollScript}
+    {{> footer}}
+    {{#block "scripts"}}{{/block}}
 </body>
 </html>`,
 
-  'post.html': `<!DOCTYPE html>
-<html lang="en" data-theme="light">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>{{title}} - {{siteTitle}}</title>
-    {{metaTags}}
-    <link rel="stylesheet" href="/css/style.css">
-    <link rel="stylesheet" href="/css/hljs.css">
-    ${themeScript}
-</head>
-<body>
-    {{progressBar}}
-    <header class="site-header">
+  'partials/header.html': `<header class="site-header">
         <nav>
-            <a href="/" class="logo">{{siteTitle}}</a>
+            <a href="{{site.langPrefix}}/" class="logo">{{siteTitle}}</a>
             <div class="nav-links">
-                <a href="/">Home</a>
-                <a href="/tags">Tags</a>
-                <a href="/about.html">About</a>
-                <a href="/rss.xml">RSS</a>
+                <a href="{{site.langPrefix}}/">Home</a>
+                <a href="{{site.langPrefix}}/tags">Tags</a>
+                <a href="{{site.langPrefix}}/archive/">Archive</a>
+                {{#if pageUrls.about}}<a href="{{pageUrls.about}}">About</a>{{/if}}
+                <a href="{{site.langPrefix}}/rss.xml">RSS</a>
+                {{> language-switcher}}
+                {{> search}}
                 <button id="theme-toggle" class="theme-toggle" title="Toggle theme">
                     <svg class="sun-icon" xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="12" cy="12" r="5"></circle><line x1="12" y1="1" x2="12" y2="3"></line><line x1="12" y1="21" x2="12" y2="23"></line><line x1="4.22" y1="4.22" x2="5.64" y2="5.64"></line><line x1="18.36" y1="18.36" x2="19.78" y2="19.78"></line><line x1="1" y1="12" x2="3" y2="12"></line><line x1="21" y1="12" x2="23" y2="12"></line><line x1="4.22" y1="19.78" x2="5.64" y2="18.36"></line><line x1="18.36" y1="5.64" x2="19.78" y2="4.22"></line></svg>
                     <svg class="moon-icon" xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M21 12.79A9 9 0 1 1 11.21 3 7 7 0 0 0 21 12.79z"></path></svg>
                 </button>
             </div>
         </nav>
-    </header>
+    </header>`,
 
-    <main>
-        <article class="post">
+  'partials/search.html': `<div class="search" role="search">
+                    <input type="search" id="search-input" class="search-input" placeholder="Search..." aria-label="Search posts" autocomplete="off">
+                    <ul id="search-results" class="search-results" hidden></ul>
+                    <script src="/js/search.js" defer></script>
+                </div>`,
+
+  'partials/language-switcher.html': `{{#if languageList}}
+                <nav class="language-switcher" aria-label="Language">
+                    {{#each languageList}}{{#if current}}<strong aria-current="true">{{name | escape}}</strong>{{else}}<a href="{{url}}" hreflang="{{code}}" lang="{{code}}">{{name | escape}}</a>{{/if}}{{/each}}
+                </nav>
+                {{/if}}`,
+
+  'partials/footer.html': `<footer class="site-footer">
+        <p>&copy; 2025 {{siteTitle}}. Built with lite-blog.</p>
+    </footer>`,
+
+  'partials/article.html': `<article class="post">
             <header class="post-header">
                 <h1>{{title}}</h1>
                 <div class="post-meta">
                     <time datetime="{{dateISO}}">{{date}}</time>
                     <span class="reading-time">{{readingTime}} min read</span>
+                    {{#if authorList}}
+                    <span class="post-authors">by {{#each authorList}}{{#unless @first}}, {{/unless}}<a href="{{url}}">{{name | escape}}</a>{{/each}}</span>
+                    {{/if}}
+                </div>
+                {{#if tagList}}
+                <div class="post-tags">
+                    {{#each tagList}}<a href="{{url}}" class="tag">{{name | escape}}</a> {{/each}}
                 </div>
-                {{tags}}
+                {{/if}}
             </header>
+
+            {{> series-nav}}
             
             {{toc}}
             
@@ -135,134 +153,159 @@ const defaultTemplates = {
                 {{content}}
             </div>
 
-            {{relatedPosts}}
-        </article>
-    </main>
+            {{#if relatedPostList}}
+            <section class="related-posts">
+                <h3>Related Posts</h3>
+                <ul>
+                    {{#each relatedPostList}}
+                    <li><a href="{{url}}">{{title | escape}}</a></li>
+                    {{/each}}
+                </ul>
+            </section>
+            {{/if}}
+
+            {{> post-nav}}
+        </article>`,
+
+  'partials/series-nav.html': `{{#if seriesNav}}
+            <nav class="series-nav" aria-label="Series">
+                <p class="series-nav-title">Part {{seriesNav.position}} of {{seriesNav.total}} in <a href="{{seriesNav.url}}">{{seriesNav.name | escape}}</a></p>
+                <ol>
+                    {{#each seriesNav.parts}}
+                    <li>{{#if current}}<strong aria-current="page">{{title | escape}}</strong>{{else}}<a href="{{url}}">{{title | escape}}</a>{{/if}}</li>
+                    {{/each}}
+                </ol>
+            </nav>
+            {{/if}}`,
+
+  'partials/post-nav.html': `{{#if prevPost | default nextPost}}
+            <nav class="post-nav" aria-label="More posts">
+                {{#if prevPost}}
+                <a href="{{prevPost.url}}" class="post-nav-prev" rel="prev">
+                    <span class="post-nav-label">&larr; Previous</span>
+                    <span>{{prevPost.title | escape}}</span>
+                </a>
+                {{/if}}
+                {{#if nextPost}}
+                <a href="{{nextPost.url}}" class="post-nav-next" rel="next">
+                    <span class="post-nav-label">Next &rarr;</span>
+                    <span>{{nextPost.title | escape}}</span>
+                </a>
+                {{/if}}
+            </nav>
+            {{/if}}`,
+
+  'default.html': `{{extends "base"}}
+
+{{#block "head"}}
+    {{metaTags}}
+    <link rel="stylesheet" href="/css/hljs.css">
+{{/block}}
 
-    <footer class="site-footer">
-        <p>&copy; 2025 {{siteTitle}}. Built with lite-blog.</p>
-    </footer>
-    ${smoothScrollScript}
-</body>
-</html>`,
+{{#block "top"}}{{progressBar}}{{/block}}
 
-  'list.html': `<!DOCTYPE html>
-<html lang="en" data-theme="light">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>{{title}}</title>
+{{#block "content"}}
+        {{> article}}
+{{/block}}
+
+{{#block "scripts"}}${smoothScrollScript}
+${copyCodeScript}{{/block}}`,
+
+  'post.html': `{{extends "base"}}
+
+{{#block "head"}}
+    {{metaTags}}
+    <link rel="stylesheet" href="/css/hljs.css">
+{{/block}}
+
+{{#block "top"}}{{progressBar}}{{/block}}
+
+{{#block "content"}}
+        {{> article}}
+{{/block}}
+
+{{#block "scripts"}}${smoothScrollScript}
+${copyCodeScript}{{/block}}`,
+
+  'list.html': `{{extends "base"}}
+
+{{#block "title"}}{{title}}{{/block}}
+
+{{#block "head"}}
     <meta name="description" content="{{siteTitle}} - Blog posts">
-    <link rel="stylesheet" href="/css/style.css">
-    ${themeScript}
-</head>
-<body>
-    <header class="site-header">
-        <nav>
-            <a href="/" class="logo">{{siteTitle}}</a>
-            <div class="nav-links">
-                <a href="/">Home</a>
-                <a href="/tags">Tags</a>
-                <a href="/about.html">About</a>
-                <a href="/rss.xml">RSS</a>
-                <button id="theme-toggle" class="theme-toggle" title="Toggle theme">
-                    <svg class="sun-icon" xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="12" cy="12" r="5"></circle><line x1="12" y1="1" x2="12" y2="3"></line><line x1="12" y1="21" x2="12" y2="23"></line><line x1="4.22" y1="4.22" x2="5.64" y2="5.64"></line><line x1="18.36" y1="18.36" x2="19.78" y2="19.78"></line><line x1="1" y1="12" x2="3" y2="12"></line><line x1="21" y1="12" x2="23" y2="12"></line><line x1="4.22" y1="19.78" x2="5.64" y2="18.36"></line><line x1="18.36" y1="5.64" x2="19.78" y2="4.22"></line></svg>
-                    <svg class="moon-icon" xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M21 12.79A9 9 0 1 1 11.21 3 7 7 0 0 0 21 12.79z"></path></svg>
-                </button>
-            </div>
-        </nav>
-    </header>
+{{/block}}
 
-    <main>
+{{#block "content"}}
         <section class="posts-section">
             <h1>Posts</h1>
             {{posts}}
             {{pagination}}
         </section>
-    </main>
+{{/block}}`,
 
-    <footer class="site-footer">
-        <p>&copy; 2025 {{siteTitle}}. Built with lite-blog.</p>
-    </footer>
-</body>
-</html>`,
-
-  'tag.html': `<!DOCTYPE html>
-<html lang="en" data-theme="light">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>{{title}} - {{siteTitle}}</title>
-    <link rel="stylesheet" href="/css/style.css">
-    ${themeScript}
-</head>
-<body>
-    <header class="site-header">
-        <nav>
-            <a href="/" class="logo">{{siteTitle}}</a>
-            <div class="nav-links">
-                <a href="/">Home</a>
-                <a href="/tags">Tags</a>
-                <a href="/about.html">About</a>
-                <a href="/rss.xml">RSS</a>
-                <button id="theme-toggle" class="theme-toggle" title="Toggle theme">
-                    <svg class="sun-icon" xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="12" cy="12" r="5"></circle><line x1="12" y1="1" x2="12" y2="3"></line><line x1="12" y1="21" x2="12" y2="23"></line><line x1="4.22" y1="4.22" x2="5.64" y2="5.64"></line><line x1="18.36" y1="18.36" x2="19.78" y2="19.78"></line><line x1="1" y1="12" x2="3" y2="12"></line><line x1="21" y1="12" x2="23" y2="12"></line><line x1="4.22" y1="19.78" x2="5.64" y2="18.36"></line><line x1="18.36" y1="5.64" x2="19.78" y2="4.22"></line></svg>
-                    <svg class="moon-icon" xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M21 12.79A9 9 0 1 1 11.21 3 7 7 0 0 0 21 12.79z"></path></svg>
-                </button>
-            </div>
-        </nav>
-    </header>
+  'tag.html': `{{extends "base"}}
 
-    <main>
+{{#block "content"}}
         <section class="tag-section">
             <h1>{{title}}</h1>
             {{tagsList}}
             {{posts}}
+            {{pagination}}
         </section>
-    </main>
+{{/block}}`,
 
-    <footer class="site-footer">
-        <p>&copy; 2025 {{siteTitle}}. Built with lite-blog.</p>
-    </footer>
-</body>
-</html>`,
+  'archive.html': `{{extends "base"}}
 
-  '404.html': `<!DOCTYPE html>
-<html lang="en" data-theme="light">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>404 - Page Not Found</title>
-    <link rel="stylesheet" href="/css/style.css">
-    ${themeScript}
-</head>
-<body>
-    <header class="site-header">
-        <nav>
-            <a href="/" class="logo">Blog</a>
-            <div class="nav-links">
-                <a href="/">Home</a>
-                <button id="theme-toggle" class="theme-toggle" title="Toggle theme">
-                    <svg class="sun-icon" xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="12" cy="12" r="5"></circle><line x1="12" y1="1" x2="12" y2="3"></line><line x1="12" y1="21" x2="12" y2="23"></line><line x1="4.22" y1="4.22" x2="5.64" y2="5.64"></line><line x1="18.36" y1="18.36" x2="19.78" y2="19.78"></line><line x1="1" y1="12" x2="3" y2="12"></line><line x1="21" y1="12" x2="23" y2="12"></line><line x1="4.22" y1="19.78" x2="5.64" y2="18.36"></line><line x1="18.36" y1="5.64" x2="19.78" y2="4.22"></line></svg>
-                    <svg class="moon-icon" xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M21 12.79A9 9 0 1 1 11.21 3 7 7 0 0 0 21 12.79z"></path></svg>
-                </button>
-            </div>
-        </nav>
-    </header>
+{{#block "content"}}
+        <section class="archive-section">
+            <h1>{{title}}</h1>
+            {{posts}}
+        </section>
+{{/block}}`,
 
-    <main>
+  'series.html': `{{extends "base"}}
+
+{{#block "content"}}
+        <section class="tag-section">
+            <h1>{{title}}</h1>
+            {{posts}}
+        </section>
+{{/block}}`,
+
+  'author.html': `{{extends "base"}}
+
+{{#block "content"}}
+        <section class="author-section">
+            <header class="author-header">
+                {{#if authorData.avatar}}
+                <img src="{{authorData.avatar | escape}}" alt="{{authorData.name | escape}}" class="author-avatar">
+                {{/if}}
+                <div>
+                    <h1>{{authorData.name | escape}}</h1>
+                    {{#if authorData.bio}}
+                    <p class="author-bio">{{authorData.bio | escape}}</p>
+                    {{/if}}
+                    <p class="author-links">
+                        {{#each authorData.links}}<a href="{{this | escape}}" rel="me">{{@key | escape}}</a> {{/each}}
+                    </p>
+                </div>
+            </header>
+            {{posts}}
+            {{pagination}}
+        </section>
+{{/block}}`,
+
+  '404.html': `{{extends "base"}}
+
+{{#block "title"}}404 - Page Not Found{{/block}}
+
+{{#block "content"}}
         <section class="error-page">
             <h1>404</h1>
             <p>The page you're looking for doesn't exist.</p>
             <a href="/" class="btn">Go Home</a>
         </section>
-    </main>
-
-    <footer class="site-footer">
-        <p>Built with lite-blog.</p>
-    </footer>
-</body>
-</html>`
+{{/block}}`
 };
 
 /**
@@ -282,6 +325,11 @@ const defaultCSS = `/* lite-blog default styles */
   --max-width: 800px;
   --toc-bg: #f8f9fa;
   --inline-code-bg: #f4f4f4;
+  --callout-note: #3b82f6;
+  --callout-tip: #10b981;
+  --callout-important: #8b5cf6;
+  --callout-warning: #f59e0b;
+  --callout-caution: #ef4444;
 }
 
 [data-theme="dark"] {
@@ -295,6 +343,11 @@ const defaultCSS = `/* lite-blog default styles */
   --code-bg: #0d1117;
   --toc-bg: #1f2937;
   --inline-code-bg: #374151;
+  --callout-note: #60a5fa;
+  --callout-tip: #34d399;
+  --callout-important: #a78bfa;
+  --callout-warning: #fbbf24;
+  --callout-caution: #f87171;
 }
 
 * {
@@ -324,6 +377,84 @@ a:hover {
   text-decoration: underline;
 }
 
+/* Language switcher */
+.language-switcher {
+  display: flex;
+  align-items: center;
+  gap: 0.5rem;
+  margin-left: 1.5rem;
+  font-size: 0.9rem;
+}
+
+.nav-links .language-switcher a {
+  margin-left: 0;
+}
+
+.language-switcher strong {
+  color: var(--text);
+}
+
+/* Search */
+.search {
+  position: relative;
+  margin-left: 1.5rem;
+}
+
+.search-input {
+  width: 12rem;
+  padding: 0.4rem 0.75rem;
+  border: 1px solid var(--border);
+  border-radius: 6px;
+  background: var(--bg-white);
+  color: var(--text);
+  font: inherit;
+  font-size: 0.9rem;
+}
+
+.search-input:focus {
+  outline: none;
+  border-color: var(--primary);
+}
+
+.search-results {
+  position: absolute;
+  right: 0;
+  top: calc(100% + 0.5rem);
+  width: 22rem;
+  max-height: 70vh;
+  overflow-y: auto;
+  list-style: none;
+  background: var(--bg-white);
+  border: 1px solid var(--border);
+  border-radius: 8px;
+  box-shadow: 0 8px 24px rgba(0, 0, 0, 0.15);
+  z-index: 100;
+}
+
+.search-results li {
+  padding: 0.75rem 1rem;
+  border-bottom: 1px solid var(--border);
+}
+
+.search-results li:last-child {
+  border-bottom: none;
+}
+
+.nav-links .search-results a {
+  margin-left: 0;
+  color: var(--text);
+  font-weight: 600;
+}
+
+.search-results p {
+  font-size: 0.85rem;
+  color: var(--text-light);
+}
+
+.search-empty {
+  color: var(--text-light);
+}
+
 /* Theme toggle button */
 .theme-toggle {
   background: none;
@@ -567,6 +698,279 @@ main {
   color: inherit;
 }
 
+/* Code blocks */
+.code-block {
+  position: relative;
+  margin: 1.5rem 0;
+}
+
+.post-content .code-block pre {
+  margin: 0;
+}
+
+.code-title {
+  background: var(--code-bg);
+  color: #ccc;
+  border-bottom: 1px solid #444;
+  border-radius: 8px 8px 0 0;
+  padding: 0.5rem 1.25rem;
+  font-family: 'Fira Code', 'Monaco', monospace;
+  font-size: 0.85rem;
+}
+
+.post-content .code-title + pre {
+  border-radius: 0 0 8px 8px;
+}
+
+.code-block .line {
+  display: inline-block;
+  min-width: 100%;
+  margin: 0 -1.25rem;
+  padding: 0 1.25rem;
+}
+
+.code-block pre code {
+  display: block;
+  width: max-content;
+  min-width: 100%;
+}
+
+.code-block .line-highlighted {
+  background: rgba(255, 255, 255, 0.1);
+  box-shadow: inset 3px 0 0 var(--primary);
+}
+
+.code-block .line-added {
+  background: rgba(16, 185, 129, 0.18);
+}
+
+.code-block .line-removed {
+  background: rgba(239, 68, 68, 0.18);
+}
+
+.diff-marker {
+  display: inline-block;
+  width: 1.5ch;
+  user-select: none;
+  opacity: 0.7;
+}
+
+.line-numbers code {
+  counter-reset: line;
+}
+
+.line-numbers .line::before {
+  counter-increment: line;
+  content: counter(line);
+  display: inline-block;
+  width: 2.5ch;
+  margin-right: 1.25ch;
+  text-align: right;
+  color: #777;
+  user-select: none;
+}
+
+.code-copy {
+  position: absolute;
+  top: 0.5rem;
+  right: 0.5rem;
+  padding: 0.25rem 0.6rem;
+  border: 1px solid #555;
+  border-radius: 4px;
+  background: var(--code-bg);
+  color: #ccc;
+  font-size: 0.8rem;
+  cursor: pointer;
+  opacity: 0;
+  transition: opacity 0.2s ease;
+}
+
+.code-block:hover .code-copy,
+.code-copy:focus-visible {
+  opacity: 1;
+}
+
+@media (hover: none) {
+  .code-copy {
+    opacity: 1;
+  }
+}
+
+.code-title ~ .code-copy {
+  top: 0.25rem;
+}
+
+.math-display {
+  overflow-x: auto;
+  overflow-y: hidden;
+  margin: 1.5rem 0;
+}
+
+/* Shortcodes */
+.embed-video {
+  position: relative;
+  aspect-ratio: 16 / 9;
+  margin: 1.5rem 0;
+}
+
+.embed-video iframe {
+  position: absolute;
+  inset: 0;
+  width: 100%;
+  height: 100%;
+  border: 0;
+  border-radius: 8px;
+}
+
+.figure {
+  margin: 1.5rem 0;
+  text-align: center;
+}
+
+.figure img {
+  margin: 0;
+}
+
+.figure figcaption {
+  margin-top: 0.5rem;
+  font-size: 0.9rem;
+  color: var(--text-light);
+}
+
+.callout {
+  --callout-color: var(--callout-note);
+  background: var(--toc-bg);
+  border-left: 4px solid var(--callout-color);
+  border-radius: 8px;
+  padding: 1rem 1.25rem;
+  margin: 1.5rem 0;
+  transition: background-color 0.3s ease;
+}
+
+.callout-title {
+  font-weight: 600;
+  color: var(--callout-color);
+}
+
+.post-content .callout p:last-child,
+.post-content .callout ul:last-child,
+.post-content .callout ol:last-child {
+  margin-bottom: 0;
+}
+
+.callout-tip {
+  --callout-color: var(--callout-tip);
+}
+
+.callout-important {
+  --callout-color: var(--callout-important);
+}
+
+.callout-warning {
+  --callout-color: var(--callout-warning);
+}
+
+.callout-caution {
+  --callout-color: var(--callout-caution);
+}
+
+/* Footnotes and definition lists */
+.footnote-ref a {
+  text-decoration: none;
+  font-size: 0.8em;
+  padding: 0 0.1em;
+}
+
+.footnotes {
+  border-top: 1px solid var(--border);
+  margin-top: 2.5rem;
+  padding-top: 1rem;
+  font-size: 0.9rem;
+  color: var(--text-light);
+}
+
+.post-content .footnotes p {
+  margin-bottom: 0.5rem;
+}
+
+.footnote-backref {
+  text-decoration: none;
+}
+
+.post-content dl {
+  margin: 1.5rem 0;
+}
+
+.post-content dt {
+  font-weight: 600;
+}
+
+.post-content dd {
+  margin: 0.25rem 0 1rem 1.5rem;
+  padding-left: 1rem;
+  border-left: 2px solid var(--border);
+  color: var(--text-light);
+}
+
+.post-content dd p:last-child {
+  margin-bottom: 0;
+}
+
+/* Series navigation */
+.series-nav {
+  background: var(--toc-bg);
+  border-left: 4px solid var(--primary);
+  border-radius: 8px;
+  padding: 1.25rem 1.5rem;
+  margin-bottom: 2rem;
+  transition: background-color 0.3s ease;
+}
+
+.series-nav-title {
+  font-weight: 600;
+  margin-bottom: 0.75rem;
+  color: var(--text-light);
+}
+
+.series-nav ol {
+  margin-left: 1.25rem;
+}
+
+.series-nav li {
+  margin: 0.3rem 0;
+}
+
+.series-nav strong {
+  color: var(--text);
+}
+
+/* Previous / next post */
+.post-nav {
+  display: flex;
+  justify-content: space-between;
+  gap: 1rem;
+  margin-top: 3rem;
+  padding-top: 2rem;
+  border-top: 1px solid var(--border);
+}
+
+.post-nav a {
+  display: flex;
+  flex-direction: column;
+  max-width: 48%;
+  text-decoration: none;
+}
+
+.post-nav-next {
+  margin-left: auto;
+  text-align: right;
+}
+
+.post-nav-label {
+  font-size: 0.85rem;
+  color: var(--text-light);
+}
+
 /* Related posts */
 .related-posts {
   margin-top: 3rem;
@@ -682,6 +1086,60 @@ main {
   text-decoration: none;
 }
 
+/* Archive */
+.archive-section h1 {
+  margin-bottom: 2rem;
+  color: var(--text);
+}
+
+.archive-year {
+  margin: 2rem 0 1rem;
+  color: var(--text);
+}
+
+.archive-month {
+  margin: 1.5rem 0 0.75rem;
+  font-size: 1.1rem;
+}
+
+.archive-list {
+  list-style: none;
+}
+
+.archive-count {
+  color: var(--text-light);
+}
+
+/* Author page */
+.author-header {
+  display: flex;
+  gap: 1.5rem;
+  align-items: center;
+  margin-bottom: 2rem;
+}
+
+.author-avatar {
+  width: 96px;
+  height: 96px;
+  border-radius: 50%;
+  object-fit: cover;
+}
+
+.author-header h1 {
+  color: var(--text);
+  margin-bottom: 0.5rem;
+}
+
+.author-bio {
+  color: var(--text-light);
+  margin-bottom: 0.5rem;
+}
+
+.author-links {
+  display: flex;
+  gap: 1rem;
+}
+
 /* 404 page */
 .error-page {
   text-align: center;
@@ -742,6 +1200,18 @@ main {
   .theme-toggle {
     margin-left: 0.5rem;
   }
+
+  .search {
+    margin-left: 1rem;
+  }
+
+  .search-input {
+    width: 8rem;
+  }
+
+  .search-results {
+    width: calc(100vw - 2rem);
+  }
 }
 `;
 
@@ -764,6 +1234,149 @@ const hljsCSS = `/* Highlight.js theme */
 .hljs-strong { font-weight: bold; }
 `;
 
+/**
+ * Search UI script, queries the index built in public/search/.
+ * Normalization and sharding must match lib/search.js.
+ */
+const searchScript = `/* lite-blog search */
+(function () {
+  var MAX_RESULTS = 10;
+  var input = document.getElementById('search-input');
+  var results = document.getElementById('search-results');
+  if (!input || !results) return;
+
+  var manifest = null;
+  var loaded = {};
+
+  function load(url) {
+    if (!loaded[url]) {
+      loaded[url] = fetch(url).then(function (res) {
+        if (!res.ok) throw new Error('Failed to load ' + url);
+        return res.json();
+      });
+    }
+    return loaded[url];
+  }
+
+  function normalize(text) {
+    return text.toLowerCase().normalize('NFD').replace(/[\\u0300-\\u036f]/g, '').replace(/đ/g, 'd');
+  }
+
+  function tokenize(text) {
+    return normalize(text).split(/[^\\p{L}\\p{N}]+/u).filter(Boolean);
+  }
+
+  function shardKey(term) {
+    var first = term.charAt(0);
+    return /[a-z0-9]/.test(first) ? first : '_';
+  }
+
+  // Score of each document for one query word: best match among indexed
+  // terms starting with it, doubled for an exact match
+  function scoreToken(token, terms) {
+    var scores = {};
+    Object.keys(terms).forEach(function (term) {
+      if (term.indexOf(token) !== 0) return;
+      var boost = term === token ? 2 : 1;
+      terms[term].forEach(function (posting) {
+        scores[posting[0]] = Math.max(scores[posting[0]] || 0, posting[1] * boost);
+      });
+    });
+    return scores;
+  }
+
+  function search(query) {
+    var tokens = tokenize(query);
+    if (tokens.length === 0) return Promise.resolve([]);
+
+    return load('/search/index.json').then(function (index) {
+      manifest = index;
+      return Promise.all(tokens.map(function (token) {
+        var key = shardKey(token);
+        return manifest.shards.indexOf(key) === -1 ? {} : load('/search/terms-' + key + '.json');
+      }));
+    }).then(function (shards) {
+      // Every query word must match
+      var scores = null;
+      tokens.forEach(function (token, i) {
+        var tokenScores = scoreToken(token, shards[i]);
+        if (scores === null) {
+          scores = tokenScores;
+          return;
+        }
+        var merged = {};
+        Object.keys(scores).forEach(function (id) {
+          if (id in tokenScores) merged[id] = scores[id] + tokenScores[id];
+        });
+        scores = merged;
+      });
+
+      var ids = Object.keys(scores)
+        .sort(function (a, b) { return scores[b] - scores[a] || a - b; })
+        .slice(0, MAX_RESULTS)
+        .map(Number);
+
+      return Promise.all(ids.map(function (id) {
+        var chunk = Math.floor(id / manifest.docsPerChunk);
+        return load('/search/docs-' + chunk + '.json').then(function (docs) {
+          return docs[id % manifest.docsPerChunk];
+        });
+      }));
+    });
+  }
+
+  function render(docs, query) {
+    results.innerHTML = '';
+    if (!query.trim()) {
+      results.hidden = true;
+      return;
+    }
+
+    if (docs.length === 0) {
+      var empty = document.createElement('li');
+      empty.className = 'search-empty';
+      empty.textContent = 'No results';
+      results.appendChild(empty);
+    }
+
+    docs.forEach(function (doc) {
+      var item = document.createElement('li');
+      var link = document.createElement('a');
+      link.href = doc.url;
+      link.textContent = doc.title;
+      item.appendChild(link);
+      if (doc.description) {
+        var description = document.createElement('p');
+        description.textContent = doc.description;
+        item.appendChild(description);
+      }
+      results.appendChild(item);
+    });
+    results.hidden = false;
+  }
+
+  var timer = null;
+  input.addEventListener('input', function () {
+    clearTimeout(timer);
+    timer = setTimeout(function () {
+      var query = input.value;
+      search(query).then(function (docs) {
+        if (input.value === query) render(docs, query);
+      }).catch(function (error) {
+        console.error(error);
+      });
+    }, 150);
+  });
+
+  input.addEventListener('keydown', function (event) {
+    if (event.key === 'Escape') {
+      input.value = '';
+      render([], '');
+    }
+  });
+})();
+`;
+
 /**
  * Default config
  */
@@ -851,7 +1464,7 @@ function init(targetDir) {
   console.log(`   Directory: ${targetDir}\n`);
 
   // Create directories
-  const dirs = ['pages', 'templates', 'static/css', 'static/images'];
+  const dirs = ['pages', 'templates/layouts', 'templates/partials', 'static/css', 'static/js', 'static/images'];
   dirs.forEach(dir => {
     ensureDir(path.join(targetDir, dir));
   });
@@ -878,6 +1491,12 @@ function init(targetDir) {
     console.log('   Created: static/css/hljs.css');
   }
 
+  const searchScriptPath = path.join(targetDir, 'static/js/search.js');
+  if (!fs.existsSync(searchScriptPath)) {
+    fs.writeFileSync(searchScriptPath, searchScript);
+    console.log('   Created: static/js/search.js');
+  }
+
   // Create config
   const configPath = path.join(targetDir, 'config.json');
   if (!fs.existsSync(configPath)) {
@@ -933,7 +1552,7 @@ template: tag
 /**
  * Development server
  */
-async function dev(projectDir, port = 3000) {
+async function dev(projectDir, port = 3000, buildOptions = {}) {
   // Process images before build
   const imagesDir = path.join(projectDir, 'static/images');
   const outputImagesDir = path.join(projectDir, 'public/images');
@@ -943,7 +1562,7 @@ async function dev(projectDir, port = 3000) {
     await processImages(imagesDir, outputImagesDir);
   }
 
-  await startDevServer(projectDir, port, build);
+  await startDevServer(projectDir, port, build, buildOptions);
 }
 
 module.exports = {
@@ -0,0 +1,523 @@
+const fs = require('fs');
+const path = require('path');
+const { Marked } = require('marked');
+const hljs = require('highlight.js');
+const { escapeHtml } = require('./utils.js');
+
+/**
+ * Markdown rendering: GitHub Flavored Markdown with syntax highlighting, plus
+ *   Footnotes        Text[^1]              [^1]: The note
+ *   Callouts         > [!WARNING]          > Body of the callout
+ *   Definition lists Term                  : Definition
+ *   Math             $inline$              $$display$$
+ *   Code blocks      ```js {3-5} title="server.js" showLineNumbers
+ *   Included code    ```js file="server.js" region="routes"
+ */
+
+/**
+ * Callout types of `> [!TYPE]` blockquotes, with their default titles
+ */
+const CALLOUT_TYPES = {
+  note: 'Note',
+  tip: 'Tip',
+  important: 'Important',
+  warning: 'Warning',
+  caution: 'Caution'
+};
+
+const CALLOUT_REGEX = new RegExp(
+  `^ {0,3}> ?\\[!(${Object.keys(CALLOUT_TYPES).join('|')})\\][ \\t]*([^\\n]*)(?:\\n|$)((?: {0,3}>[^\\n]*(?:\\n|$))*)`,
+  'i'
+);
+
+const FOOTNOTE_DEFINITION_REGEX = /^ {0,3}\[\^([^\]\s]+)\]:[ \t]*([^\n]*(?:\n|$)(?:(?: {2,}|\t)[^\n]*(?:\n|$)|\n(?=(?: {2,}|\t)\S))*)/;
+const FOOTNOTE_REFERENCE_REGEX = /^\[\^([^\]\s]+)\]/;
+
+const MATH_BLOCK_REGEX = /^ {0,3}\$\$([\s\S]+?)\$\$[ \t]*(?:\n|$)/;
+// $...$ must not start or end with a space, or be followed by a digit ("$5 and $10")
+const MATH_INLINE_REGEX = /^(?:\$\$((?:\\.|[^\\$])+?)\$\$|\$(?!\s)((?:\\.|[^\\$\n])+?)(?<!\s)\$(?!\d))/;
+
+/**
+ * Code fence info: `{1,3-5}` highlighted lines, key="value" attributes and
+ * bare words (the first one is the language)
+ */
+const CODE_INFO_REGEX = /\{([\d,\s-]*)\}|([\w-]+)=(?:"([^"]*)"|'([^']*)'|(\S+))|(\S+)/g;
+
+/**
+ * Languages that are never highlighted, not even by auto-detection
+ */
+const PLAIN_LANGUAGES = ['text', 'plaintext', 'txt', 'plain', 'nohighlight'];
+
+/**
+ * Named region markers in included files, in any comment syntax
+ * (// #region routes ... // #endregion)
+ */
+const REGION_START_REGEX = /#region\b[ \t]*([\w-]*)/;
+const REGION_END_REGEX = /#endregion\b/;
+
+const DEFINITION_REGEX = /^ {0,3}:[ \t]+/;
+const CONTINUATION_REGEX = /^(?: {2,}|\t)\S/;
+
+/**
+ * Lines that start another block and can't be a definition list term
+ */
+const NOT_TERM_REGEX = /^\s*$|^ {0,3}(?:[:>#|]|[-*+][ \t]|\d+[.)][ \t]|```|~~~|<)/;
+
+/**
+ * Parse a code fence info string ("js {3-5} title=\"server.js\" showLineNumbers").
+ * `diff-js` (or a `diff` flag) marks +/- lines on top of js highlighting.
+ * Highlighted lines are kept to the `lineCount` lines of the block.
+ */
+function parseCodeInfo(info, lineCount = 0) {
+  const code = { language: '', title: '', lines: new Set(), lineNumbers: false, diff: false, attributes: {} };
+  let match;
+
+  CODE_INFO_REGEX.lastIndex = 0;
+  while ((match = CODE_INFO_REGEX.exec(info || ''))) {
+    if (match[1] !== undefined) {
+      for (const range of match[1].split(',')) {
+        const [from, to = from] = range.split('-').map(Number);
+        for (let line = Math.max(from, 1); line <= Math.min(to, lineCount); line++) code.lines.add(line);
+      }
+    } else if (match[2]) {
+      code.attributes[match[2]] = [match[3], match[4], match[5]].find(value => value !== undefined);
+    } else if (match[6] === 'showLineNumbers') {
+      code.lineNumbers = true;
+    } else if (match[6] === 'diff' && match.index > 0) {
+      code.diff = true;
+    } else if (match.index === 0) {
+      code.language = match[6];
+    }
+  }
+
+  if (/^diff-./.test(code.language)) {
+    code.diff = true;
+    code.language = code.language.slice(5);
+  }
+  code.title = code.attributes.title || '';
+  return code;
+}
+
+/**
+ * Highlight code with highlight.js. Unlabelled code is auto-detected;
+ * `text` and `nohighlight` are only escaped.
+ */
+function highlightCode(code, language) {
+  if (PLAIN_LANGUAGES.includes(language)) return escapeHtml(code);
+  return language && hljs.getLanguage(language)
+    ? hljs.highlight(code, { language }).value
+    : hljs.highlightAuto(code).value;
+}
+
+/**
+ * Split highlighted HTML into lines, closing and reopening the spans
+ * (multi-line strings and comments) that cross a line break
+ */
+function splitHighlightedLines(html) {
+  const lines = [];
+  const open = [];
+  const tagRegex = /<span[^>]*>|<\/span>|\n/g;
+  let line = '';
+  let position = 0;
+  let match;
+
+  while ((match = tagRegex.exec(html))) {
+    line += html.slice(position, match.index);
+    position = match.index + match[0].length;
+    if (match[0] === '\n') {
+      lines.push(line + '</span>'.repeat(open.length));
+      line = open.join('');
+    } else {
+      if (match[0] === '</span>') open.pop(); else open.push(match[0]);
+      line += match[0];
+    }
+  }
+  lines.push(line + html.slice(position));
+  return lines;
+}
+
+/**
+ * Code blocks: syntax highlighting, plus a title, line numbers,
+ * highlighted lines and diff markers from the fence info
+ */
+function renderCode(source, info) {
+  const code = parseCodeInfo(info, source.split('\n').length);
+  const languageClass = `hljs ${escapeHtml(code.language)}`;
+  let html;
+
+  if (code.lines.size === 0 && !code.lineNumbers && !code.diff) {
+    html = highlightCode(source, code.language);
+  } else {
+    // In diff mode the +/- markers are taken off before highlighting, and
+    // so is the leading space of unchanged lines in a unified diff
+    const sourceLines = source.split('\n');
+    const unified = code.diff && sourceLines.every(line => line === '' || /^[+\- ]/.test(line));
+    const markers = sourceLines.map(line => (code.diff && (/^[+-]/.test(line) || (unified && line[0] === ' ')) ? line[0] : ''));
+    const stripped = sourceLines.map((line, i) => line.slice(markers[i].length)).join('\n');
+
+    html = splitHighlightedLines(highlightCode(stripped, code.language)).map((line, i) => {
+      const classes = ['line'];
+      if (code.lines.has(i + 1)) classes.push('line-highlighted');
+      if (markers[i] === '+') classes.push('line-added');
+      if (markers[i] === '-') classes.push('line-removed');
+      const marker = code.diff ? `<span class="diff-marker">${markers[i] || ' '}</span>` : '';
+      return `<span class="${classes.join(' ')}">${marker}${line}</span>`;
+    }).join('\n');
+  }
+
+  const preClass = code.lineNumbers ? ' class="line-numbers"' : '';
+  const title = code.title ? `<div class="code-title">${escapeHtml(code.title)}</div>` : '';
+  return `<div class="code-block${code.diff ? ' code-diff' : ''}">${title}<pre${preClass}><code class="${languageClass}">${html}</code></pre></div>\n`;
+}
+
+/**
+ * Render TeX to HTML and MathML with KaTeX (loaded on first use).
+ * Invalid TeX is shown in red on the page, with a warning.
+ */
+function renderMath(tex, displayMode) {
+  const katex = require('katex');
+  try {
+    return katex.renderToString(tex.trim(), { displayMode, throwOnError: true });
+  } catch (error) {
+    console.warn(`Warning: ${error.message}`);
+    return katex.renderToString(tex.trim(), { displayMode, throwOnError: false });
+  }
+}
+
+/**
+ * Turn a footnote label into an id ("My Note" -> "my-note")
+ */
+function getFootnoteId(label) {
+  return label.toLowerCase().replace(/[^\p{L}\p{N}_-]+/gu, '-');
+}
+
+/**
+ * `> [!NOTE]` callouts, with an optional title after the marker
+ */
+const callouts = {
+  name: 'callout',
+  level: 'block',
+  start(src) {
+    return src.match(/^ {0,3}> ?\[!/m)?.index;
+  },
+  tokenizer(src) {
+    const match = CALLOUT_REGEX.exec(src);
+    if (!match) return undefined;
+    const body = match[3].replace(/^ {0,3}> ?/gm, '');
+    return {
+      type: 'callout',
+      raw: match[0],
+      kind: match[1].toLowerCase(),
+      titleTokens: this.lexer.inline(match[2].trim()),
+      tokens: this.lexer.blockTokens(body, [])
+    };
+  },
+  renderer(token) {
+    const title = token.titleTokens.length > 0
+      ? this.parser.parseInline(token.titleTokens)
+      : CALLOUT_TYPES[token.kind];
+    return `<aside class="callout callout-${token.kind}"><p class="callout-title">${title}</p>\n${this.parser.parse(token.tokens)}</aside>\n`;
+  }
+};
+
+/**
+ * Definition lists: a term line followed by one or more `: definition`
+ * lines. Indented lines continue a definition; a blank line between
+ * entries keeps them in the same list.
+ */
+const definitionLists = {
+  name: 'definitionList',
+  level: 'block',
+  start(src) {
+    return src.match(/^[^\n]+\n {0,3}:[ \t]/m)?.index;
+  },
+  tokenizer(src) {
+    const lines = src.split('\n');
+    const items = [];
+    let end = 0;
+    let i = 0;
+
+    while (i + 1 < lines.length && !NOT_TERM_REGEX.test(lines[i]) && DEFINITION_REGEX.test(lines[i + 1])) {
+      const item = { termTokens: this.lexer.inline(lines[i].trim()), definitions: [] };
+      i++;
+      while (i < lines.length && DEFINITION_REGEX.test(lines[i])) {
+        const text = [lines[i++].replace(DEFINITION_REGEX, '')];
+        while (i < lines.length && CONTINUATION_REGEX.test(lines[i])) {
+          text.push(lines[i++].replace(/^(?: {2,4}|\t)/, ''));
+        }
+        // A single line is inline, several are blocks (paragraphs, lists, ...)
+        item.definitions.push(text.length > 1
+          ? { block: true, tokens: this.lexer.blockTokens(text.join('\n'), []) }
+          : { block: false, tokens: this.lexer.inline(text[0].trim()) });
+      }
+      items.push(item);
+      end = i;
+      if (lines[i] === '') i++;
+    }
+
+    if (items.length === 0) return undefined;
+    const raw = lines.slice(0, end).join('\n') + (end < lines.length ? '\n' : '');
+    return { type: 'definitionList', raw, items };
+  },
+  renderer(token) {
+    // Rendered in document order, so footnotes are numbered in reading order
+    const items = token.items.map(item => {
+      const term = `<dt>${this.parser.parseInline(item.termTokens)}</dt>`;
+      const definitions = item.definitions.map(definition => definition.block
+        ? `<dd>${this.parser.parse(definition.tokens)}</dd>`
+        : `<dd>${this.parser.parseInline(definition.tokens)}</dd>`);
+      return `${term}\n${definitions.join('\n')}`;
+    });
+    return `<dl>\n${items.join('\n')}\n</dl>\n`;
+  }
+};
+
+/**
+ * `$inline$` and `$$display$$` math of one document. usesMath() tells
+ * whether any was rendered, so the page can include the KaTeX stylesheet.
+ */
+function createMath() {
+  let used = false;
+
+  const block = {
+    name: 'mathBlock',
+    level: 'block',
+    start(src) {
+      return src.match(/^ {0,3}\$\$/m)?.index;
+    },
+    tokenizer(src) {
+      const match = MATH_BLOCK_REGEX.exec(src);
+      if (!match) return undefined;
+      return { type: 'mathBlock', raw: match[0], tex: match[1] };
+    },
+    renderer(token) {
+      used = true;
+      return `<div class="math math-display">${renderMath(token.tex, true)}</div>\n`;
+    }
+  };
+
+  const inline = {
+    name: 'mathInline',
+    level: 'inline',
+    start(src) {
+      return src.match(/\$/)?.index;
+    },
+    tokenizer(src) {
+      const match = MATH_INLINE_REGEX.exec(src);
+      if (!match) return undefined;
+      return { type: 'mathInline', raw: match[0], tex: match[1] || match[2], displayMode: Boolean(match[1]) };
+    },
+    renderer(token) {
+      used = true;
+      return renderMath(token.tex, token.displayMode);
+    }
+  };
+
+  return { extensions: [block, inline], usesMath: () => used };
+}
+
+/**
+ * Footnote references and definitions of one document. Notes are numbered
+ * in the order they are first referenced; unreferenced definitions are
+ * dropped and references to undefined notes are left as text.
+ * Parts of a document can be rendered before the rest of it (shortcode
+ * content): lexing the whole document first with collect() finds every
+ * definition and the reading order of the references.
+ */
+function createFootnotes() {
+  const defined = new Set();
+  const referenced = [];
+  const definitions = new Map();
+  const notes = [];
+
+  const definition = {
+    name: 'footnoteDefinition',
+    level: 'block',
+    start(src) {
+      return src.match(/^ {0,3}\[\^[^\]\s]+\]:/m)?.index;
+    },
+    tokenizer(src) {
+      const match = FOOTNOTE_DEFINITION_REGEX.exec(src);
+      if (!match) return undefined;
+      const id = getFootnoteId(match[1]);
+      const text = match[2].replace(/^(?: {2,4}|\t)/gm, '');
+      defined.add(id);
+      return { type: 'footnoteDefinition', raw: match[0], id, tokens: this.lexer.blockTokens(text, []) };
+    },
+    renderer(token) {
+      if (!definitions.has(token.id)) definitions.set(token.id, this.parser.parse(token.tokens));
+      return '';
+    }
+  };
+
+  const reference = {
+    name: 'footnoteReference',
+    level: 'inline',
+    start(src) {
+      return src.match(/\[\^/)?.index;
+    },
+    tokenizer(src) {
+      const match = FOOTNOTE_REFERENCE_REGEX.exec(src);
+      if (!match || !defined.has(getFootnoteId(match[1]))) return undefined;
+      const id = getFootnoteId(match[1]);
+      if (!referenced.includes(id)) referenced.push(id);
+      return { type: 'footnoteReference', raw: match[0], id };
+    },
+    renderer(token) {
+      let note = notes.find(n => n.id === token.id);
+      if (!note) {
+        note = { id: token.id, number: referenced.indexOf(token.id) + 1, references: 0 };
+        notes.push(note);
+        notes.sort((a, b) => a.number - b.number);
+      }
+      note.references++;
+      const refId = note.references > 1 ? `fnref-${note.id}-${note.references}` : `fnref-${note.id}`;
+      return `<sup class="footnote-ref"><a href="#fn-${note.id}" id="${refId}" role="doc-noteref">${note.number}</a></sup>`;
+    }
+  };
+
+  /**
+   * HTML of the footnotes section, with links back to every reference
+   */
+  function render() {
+    if (notes.length === 0) return '';
+    const items = notes.map(note => {
+      const backrefs = Array.from({ length: note.references }, (_, i) => {
+        const refId = i > 0 ? `fnref-${note.id}-${i + 1}` : `fnref-${note.id}`;
+        const label = note.references > 1 ? `Back to reference ${note.number}-${i + 1}` : `Back to reference ${note.number}`;
+        return `<a href="#${refId}" class="footnote-backref" role="doc-backlink" aria-label="${label}">&#8617;&#xFE0E;</a>`;
+      }).join(' ');
+      const html = (definitions.get(note.id) || '').trim();
+      // Back-links go at the end of the note's last paragraph
+      const body = html.endsWith('</p>')
+        ? `${html.slice(0, -4)} ${backrefs}</p>`
+        : `${html}\n<p>${backrefs}</p>`;
+      return `<li id="fn-${note.id}">\n${body}\n</li>`;
+    });
+    return `<section class="footnotes" role="doc-endnotes" aria-label="Footnotes">\n<ol>\n${items.join('\n')}\n</ol>\n</section>\n`;
+  }
+
+  /**
+   * Find the definitions and references of a whole document, given a
+   * function lexing markdown with these extensions
+   */
+  function collect(markdown, lex) {
+    if (markdown.includes('[^')) lex(markdown);
+  }
+
+  return { extensions: [definition, reference], render, collect };
+}
+
+/**
+ * Get the lines of a named region, or null if the file has no such region
+ */
+function getRegionLines(lines, name) {
+  const start = lines.findIndex(line => (line.match(REGION_START_REGEX) || [])[1] === name);
+  if (start === -1) return null;
+
+  let depth = 0;
+  for (let i = start; i < lines.length; i++) {
+    if (REGION_START_REGEX.test(lines[i])) depth++;
+    else if (REGION_END_REGEX.test(lines[i]) && --depth === 0) return lines.slice(start + 1, i);
+  }
+  return lines.slice(start + 1);
+}
+
+/**
+ * Remove the indentation shared by all non-blank lines
+ */
+function dedent(lines) {
+  const indents = lines.filter(line => line.trim()).map(line => line.match(/^[ \t]*/)[0].length);
+  const indent = indents.length > 0 ? Math.min(...indents) : 0;
+  return lines.map(line => line.slice(indent));
+}
+
+/**
+ * Code blocks filled from a file of the examples directory, whole or
+ * by `lines="10-20"` or `region="name"`. A missing file, region or line
+ * range is warned about and the block keeps its own content.
+ */
+function createIncludes(examplesDir, page) {
+  const files = new Set();
+  const warn = message => console.warn(`Warning: ${message} (${page})`);
+
+  function includeFile({ file, lines: range, region }) {
+    const filePath = path.resolve(examplesDir, file);
+    const relative = path.relative(examplesDir, filePath);
+    if (relative.startsWith('..') || path.isAbsolute(relative)) {
+      warn(`Included file "${file}" is outside the examples directory`);
+      return null;
+    }
+
+    files.add(filePath);
+    if (!fs.existsSync(filePath)) {
+      warn(`Included file "${file}" not found`);
+      return null;
+    }
+
+    let lines = fs.readFileSync(filePath, 'utf-8').replace(/\r\n/g, '\n').replace(/\n$/, '').split('\n');
+    if (region) {
+      lines = getRegionLines(lines, region);
+      if (!lines) {
+        warn(`Region "${region}" not found in included file "${file}"`);
+        return null;
+      }
+    }
+    if (range) {
+      const [, from, to] = String(range).match(/^(\d+)(?:-(\d*))?$/) || [];
+      if (!from || Number(from) > lines.length) {
+        warn(`Lines "${range}" not found in included file "${file}" (${lines.length} lines)`);
+        return null;
+      }
+      lines = lines.slice(Number(from) - 1, to === undefined ? Number(from) : (Number(to) || lines.length));
+    }
+
+    // Markers of other regions are not part of the code
+    return dedent(lines.filter(line => !REGION_START_REGEX.test(line) && !REGION_END_REGEX.test(line))).join('\n');
+  }
+
+  return {
+    walkTokens(token) {
+      if (token.type !== 'code') return;
+      const { attributes } = parseCodeInfo(token.lang);
+      if (!attributes.file) return;
+      const text = includeFile(attributes);
+      if (text !== null) token.text = text;
+    },
+    files: () => [...files]
+  };
+}
+
+/**
+ * Create a markdown renderer for one document:
+ * { render(markdown), renderInline(markdown), collectFootnotes(markdown),
+ *   renderFootnotes(), usesMath(), includedFiles() }.
+ * Footnotes from every render() call are collected for renderFootnotes();
+ * collectFootnotes() of the whole document first lets parts rendered on
+ * their own refer to notes defined elsewhere.
+ * `options`: { examplesDir (where code blocks include files from), file (for warnings) }
+ */
+function createMarkdown(options = {}) {
+  const { examplesDir = 'examples', file = '' } = options;
+  const footnotes = createFootnotes();
+  const math = createMath();
+  const includes = createIncludes(examplesDir, file);
+  const marked = new Marked({
+    gfm: true,
+    breaks: true,
+    renderer: { code: renderCode },
+    extensions: [callouts, definitionLists, ...math.extensions, ...footnotes.extensions],
+    walkTokens: includes.walkTokens
+  });
+
+  return {
+    render: markdown => marked.parse(markdown),
+    renderInline: markdown => marked.parseInline(markdown),
+    collectFootnotes: markdown => footnotes.collect(markdown, source => marked.lexer(source)),
+    renderFootnotes: footnotes.render,
+    usesMath: math.usesMath,
+    includedFiles: includes.files
+  };
+}
+
+module.exports = { createMarkdown, parseCodeInfo, highlightCode };
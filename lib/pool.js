@@ -0,0 +1,132 @@
+const os = require('os');
+const path = require('path');
+const { Worker } = require('worker_threads');
+
+/**
+ * Files per worker below which threads cost more than they save
+ */
+const MIN_FILES_PER_WORKER = 10;
+
+/**
+ * Number of CPU cores available to this process
+ */
+function getCpuCount() {
+  return typeof os.availableParallelism === 'function'
+    ? os.availableParallelism()
+    : os.cpus().length;
+}
+
+/**
+ * Decide how many worker threads a build should use (0 = build serially).
+ * `workers` comes from the build options or config; defaults to the CPU count.
+ */
+function getWorkerCount(fileCount, workers) {
+  const requested = workers === undefined || workers === null ? getCpuCount() : Number(workers);
+  const useful = Math.floor(fileCount / MIN_FILES_PER_WORKER);
+  const count = Math.min(requested, useful);
+  return count > 1 ? count : 0;
+}
+
+/**
+ * Pool of worker threads running lib/worker.js tasks
+ */
+class WorkerPool {
+  constructor(size) {
+    this.workers = [];
+    this.idle = [];
+    this.queue = [];
+    this.pending = new Map();
+    this.nextId = 0;
+
+    for (let i = 0; i < size; i++) {
+      const worker = new Worker(path.join(__dirname, 'worker.js'));
+      worker.on('message', message => this.handleMessage(worker, message));
+      worker.on('error', error => this.handleError(worker, error));
+      this.workers.push(worker);
+      this.idle.push(worker);
+    }
+  }
+
+  get size() {
+    return this.workers.length;
+  }
+
+  /**
+   * Run a task on the next idle worker
+   */
+  run(type, payload) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ type, payload, resolve, reject });
+      this.dispatch();
+    });
+  }
+
+  /**
+   * Run a task on every worker (e.g. to share data before rendering)
+   */
+  broadcast(type, payload) {
+    return Promise.all(this.workers.map(worker => new Promise((resolve, reject) => {
+      this.send(worker, { type, payload, resolve, reject, broadcast: true });
+    })));
+  }
+
+  dispatch() {
+    while (this.idle.length > 0 && this.queue.length > 0) {
+      this.send(this.idle.shift(), this.queue.shift());
+    }
+  }
+
+  send(worker, task) {
+    const id = this.nextId++;
+    this.pending.set(id, { ...task, worker });
+    worker.postMessage({ id, type: task.type, payload: task.payload });
+  }
+
+  handleMessage(worker, { id, result, error }) {
+    const task = this.pending.get(id);
+    if (!task) return;
+    this.pending.delete(id);
+
+    if (!task.broadcast) {
+      this.idle.push(worker);
+    }
+
+    if (error) {
+      const err = new Error(error.message);
+      err.stack = error.stack;
+      task.reject(err);
+    } else {
+      task.resolve(result);
+    }
+
+    this.dispatch();
+  }
+
+  handleError(worker, error) {
+    this.workers = this.workers.filter(w => w !== worker);
+    this.idle = this.idle.filter(w => w !== worker);
+
+    for (const [id, task] of this.pending) {
+      if (task.worker === worker) {
+        this.pending.delete(id);
+        task.reject(error);
+      }
+    }
+
+    // No workers left to pick up queued tasks
+    if (this.workers.length === 0) {
+      this.queue.splice(0).forEach(task => task.reject(error));
+    }
+  }
+
+  /**
+   * Stop all workers
+   */
+  async close() {
+    await Promise.all(this.workers.map(worker => worker.terminate()));
+    this.workers = [];
+    this.idle = [];
+  }
+}
+
+module.exports = { WorkerPool, getWorkerCount };
@@ -0,0 +1,138 @@
+/**
+ * Build-time search index.
+ *
+ * Output (under public/search/):
+ *   index.json      { version, shards, docCount, docsPerChunk }
+ *   terms-<k>.json  { term: [[docId, score], ...] } for terms starting with <k>
+ *   docs-<n>.json   [{ title, url, description, date, tags }, ...]
+ *
+ * Terms are sharded by their first character, so a prefix query only loads
+ * the one shard its first character points to. static/js/search.js must
+ * normalize and shard queries the same way.
+ */
+
+/**
+ * Documents per docs-<n>.json chunk
+ */
+const DOCS_PER_CHUNK = 200;
+
+/**
+ * Score of a term found in each field of a post
+ */
+const FIELD_WEIGHTS = {
+  title: 10,
+  tags: 6,
+  description: 3
+};
+
+/**
+ * Highest score a term gets from repeated use in the body
+ */
+const MAX_BODY_SCORE = 5;
+
+/**
+ * Lowercase and strip diacritics ("Tiếng Việt" -> "tieng viet")
+ */
+function normalizeText(text) {
+  return String(text)
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/đ/g, 'd');
+}
+
+/**
+ * Split text into normalized terms, skipping single characters
+ */
+function tokenize(text) {
+  return normalizeText(text)
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(term => term.length > 1);
+}
+
+/**
+ * Get the shard a term belongs to: its first character, or "_" for non-ASCII
+ */
+function getShardKey(term) {
+  const first = term.charAt(0);
+  return /[a-z0-9]/.test(first) ? first : '_';
+}
+
+/**
+ * Get the searchable text of post HTML (code blocks, scripts and tags removed)
+ */
+function htmlToText(html) {
+  return html
+    .replace(/<(pre|script|style)\b[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&(amp|lt|gt|quot|#39|nbsp);/g, ' ');
+}
+
+/**
+ * Score every term of a post, as a Map (terms like "constructor" must not
+ * collide with Object.prototype)
+ */
+function scorePost(post) {
+  const scores = new Map();
+  const add = (terms, score) => terms.forEach(term => {
+    scores.set(term, (scores.get(term) || 0) + score);
+  });
+
+  add(tokenize(post.title), FIELD_WEIGHTS.title);
+  add(tokenize(post.tags.join(' ')), FIELD_WEIGHTS.tags);
+  add(tokenize(post.description), FIELD_WEIGHTS.description);
+
+  const bodyCounts = new Map();
+  tokenize(htmlToText(post.content)).forEach(term => {
+    bodyCounts.set(term, (bodyCounts.get(term) || 0) + 1);
+  });
+  for (const [term, count] of bodyCounts) {
+    add([term], Math.min(count, MAX_BODY_SCORE));
+  }
+
+  return scores;
+}
+
+/**
+ * Generate the search index files for posts, keyed by file name
+ */
+function generateSearchIndex(posts) {
+  const shards = new Map();
+  const files = {};
+
+  posts.forEach((post, docId) => {
+    for (const [term, score] of scorePost(post)) {
+      const key = getShardKey(term);
+      if (!shards.has(key)) shards.set(key, new Map());
+      const shard = shards.get(key);
+      if (!shard.has(term)) shard.set(term, []);
+      shard.get(term).push([docId, score]);
+    }
+  });
+
+  for (let i = 0; i * DOCS_PER_CHUNK < posts.length; i++) {
+    files[`docs-${i}.json`] = posts.slice(i * DOCS_PER_CHUNK, (i + 1) * DOCS_PER_CHUNK).map(post => ({
+      title: post.title,
+      url: post.url,
+      description: post.description,
+      date: post.date,
+      tags: post.tags
+    }));
+  }
+
+  const shardKeys = [...shards.keys()].sort();
+  shardKeys.forEach(key => {
+    files[`terms-${key}.json`] = Object.fromEntries(shards.get(key));
+  });
+
+  files['index.json'] = {
+    version: 1,
+    shards: shardKeys,
+    docCount: posts.length,
+    docsPerChunk: DOCS_PER_CHUNK
+  };
+
+  return files;
+}
+
+module.exports = { generateSearchIndex, normalizeText, tokenize };
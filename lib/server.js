@@ -106,6 +106,50 @@ function sanitizePath(urlPath, outputDir) {
   return realPath;
 }
 
+/**
+ * Map a request URL to an output file: "/" and "/dir/" serve index.html,
+ * extensionless paths serve "<path>.html"
+ */
+function resolveUrlPath(url) {
+  if (url.endsWith('/')) return `${url}index.html`;
+  if (path.extname(url)) return url;
+  return `${url}.html`;
+}
+
+/**
+ * Get the URL to redirect an extensionless URL to when it is a directory
+ * ("/2024/03/hello" -> "/2024/03/hello/"), so pretty URLs get their
+ * trailing slash like on a static host and relative links resolve
+ */
+function getDirectoryRedirect(url, outputDir) {
+  if (url.endsWith('/') || path.extname(url)) return null;
+
+  const htmlPath = sanitizePath(`${url}.html`, outputDir);
+  const indexPath = sanitizePath(`${url}/index.html`, outputDir);
+  if (!indexPath || !fs.existsSync(indexPath) || (htmlPath && fs.existsSync(htmlPath))) {
+    return null;
+  }
+  return `${url}/`;
+}
+
+/**
+ * Load the redirects written by the build to public/_redirects
+ * ("<from> <to> <status>" lines), keyed by the old URL
+ */
+function loadRedirects(outputDir) {
+  const redirects = new Map();
+  const redirectsPath = path.join(outputDir, '_redirects');
+  if (!fs.existsSync(redirectsPath)) return redirects;
+
+  for (const line of fs.readFileSync(redirectsPath, 'utf-8').split('\n')) {
+    const [from, to, status] = line.trim().split(/\s+/);
+    if (from && to && !from.startsWith('#')) {
+      redirects.set(from, { to, status: Number(status) || 301 });
+    }
+  }
+  return redirects;
+}
+
 /**
  * Notify all clients to reload
  */
@@ -122,14 +166,15 @@ function notifyReload(clients) {
 /**
  * Start development server with file watching
  */
-async function startDevServer(projectDir, port, buildFn) {
+async function startDevServer(projectDir, port, buildFn, buildOptions = {}) {
   const outputDir = path.join(projectDir, 'public');
   const clients = [];
   const fileCache = new FileCache(50);
 
   // Initial build
   console.log('📦 Initial build...');
-  await buildFn(projectDir, { incremental: false });
+  const { config } = await buildFn(projectDir, { ...buildOptions, incremental: false });
+  let redirects = loadRedirects(outputDir);
 
   // Live reload script (minified)
   const liveReloadScript = `<script>!function(){var e=new EventSource("/__live-reload");e.onmessage=function(e){"reload"===e.data&&location.reload()},e.onerror=function(){e.close(),setTimeout(function(){location.reload()},2e3)}}();</script>`;
@@ -155,10 +200,30 @@ async function startDevServer(projectDir, port, buildFn) {
       return;
     }
 
+    // Redirects of moved pages, as a host reading _redirects would answer
+    let decodedUrl = url;
+    try {
+      decodedUrl = decodeURIComponent(url);
+    } catch {
+      // Keep the raw URL
+    }
+    const moved = redirects.get(url) || redirects.get(decodedUrl);
+    if (moved) {
+      const location = moved.to.replace(/[^\x21-\x7e]/gu, char => encodeURIComponent(char));
+      res.writeHead(moved.status, { 'Location': location, ...securityHeaders });
+      res.end();
+      return;
+    }
+
+    const redirect = getDirectoryRedirect(url, outputDir);
+    if (redirect) {
+      res.writeHead(301, { 'Location': redirect + req.url.slice(url.length), ...securityHeaders });
+      res.end();
+      return;
+    }
+
     // Sanitize path
-    let urlPath = url === '/' ? '/index.html' : url;
-    if (!path.extname(urlPath)) urlPath += '.html';
-    
+    const urlPath = resolveUrlPath(url);
     const filePath = sanitizePath(urlPath, outputDir);
     if (!filePath) {
       res.writeHead(403, { 'Content-Type': 'text/plain', ...securityHeaders });
@@ -228,6 +293,9 @@ async function startDevServer(projectDir, port, buildFn) {
     path.join(projectDir, 'pages'),
     path.join(projectDir, 'templates'),
     path.join(projectDir, 'static'),
+    path.join(projectDir, 'data'),
+    path.join(projectDir, 'shortcodes'),
+    path.join(projectDir, config.examplesDir),
     path.join(projectDir, 'config.json')
   ].filter(p => fs.existsSync(p));
 
@@ -248,7 +316,8 @@ async function startDevServer(projectDir, port, buildFn) {
     buildTimeout = setTimeout(async () => {
       console.log(`🔄 ${eventType}: ${path.relative(projectDir, filePath)}`);
       try {
-        await buildFn(projectDir, { incremental: true });
+        await buildFn(projectDir, { ...buildOptions, incremental: true });
+        redirects = loadRedirects(outputDir);
         fileCache.clear(); // Clear cache after rebuild
         notifyReload(clients);
         console.log('✅ Rebuild complete\n');
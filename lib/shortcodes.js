@@ -0,0 +1,210 @@
+const fs = require('fs');
+const path = require('path');
+const { globSync } = require('glob');
+const { renderTemplate } = require('./template.js');
+
+/**
+ * Shortcodes in markdown:
+ *   {{< youtube dQw4w9WgXcQ >}}                 - positional arguments ({{args.0}})
+ *   {{< figure src="/images/a.jpg" caption="A" >}} - named arguments ({{src}})
+ *   {{< note title="Heads up" >}}               - paired: the markdown in between
+ *   Some **markdown**                           is rendered to {{content}}
+ *   {{< /note >}}
+ *
+ * Shortcodes are templates (same syntax as templates/) in the project's
+ * shortcodes/ folder, or built in. Shortcodes in code blocks and inline code
+ * are left alone, and a shortcode commented out inside its braces (slash-star
+ * after "{{<", star-slash before ">}}") is written out without the comment.
+ */
+const TAG_REGEX = /\{\{<\s*(\/\*[\s\S]*?\*\/|\/?\s*[\w-]+[\s\S]*?)\s*>\}\}/g;
+
+/**
+ * Arguments: key="value", key='value', key=value, "value", 'value' or value
+ */
+const ARG_REGEX = /([\w-]+)=(?:"([^"]*)"|'([^']*)'|(\S+))|"([^"]*)"|'([^']*)'|(\S+)/g;
+
+/**
+ * Marker left in the markdown where a shortcode's HTML goes, so marked
+ * treats it as plain text
+ */
+const PLACEHOLDER = index => `⟦shortcode:${index}⟧`;
+const PLACEHOLDER_REGEX = /(<p>)?⟦shortcode:(\d+)⟧(<\/p>)?/g;
+
+/**
+ * Built-in shortcodes, overridable by shortcodes/<name>.html
+ */
+const builtinShortcodes = {
+  youtube: `<div class="embed embed-video"><iframe src="https://www.youtube-nocookie.com/embed/{{args.0 | default id | escape}}" title="{{title | default "YouTube video" | escape}}" loading="lazy" allow="accelerometer; clipboard-write; encrypted-media; gyroscope; picture-in-picture" allowfullscreen></iframe></div>`,
+
+  vimeo: `<div class="embed embed-video"><iframe src="https://player.vimeo.com/video/{{args.0 | default id | escape}}" title="{{title | default "Vimeo video" | escape}}" loading="lazy" allow="fullscreen; picture-in-picture" allowfullscreen></iframe></div>`,
+
+  figure: `<figure class="figure"><img src="{{src | escape}}" alt="{{alt | default caption | escape}}" loading="lazy">{{#if caption}}<figcaption>{{caption | escape}}</figcaption>{{/if}}</figure>`,
+
+  note: `<aside class="callout callout-{{type | default "note" | escape}}"><p class="callout-title">{{title | default "Note" | escape}}</p>{{content}}</aside>`
+};
+
+/**
+ * Load shortcode templates: the built-ins plus shortcodes/<name>.html
+ */
+function loadShortcodes(projectDir) {
+  const shortcodes = { ...builtinShortcodes };
+  const shortcodesDir = path.join(projectDir, 'shortcodes');
+  if (!fs.existsSync(shortcodesDir)) return shortcodes;
+
+  for (const file of globSync('**/*.html', { cwd: shortcodesDir })) {
+    const name = file.replace(/\.html$/, '').replace(/\\/g, '/');
+    shortcodes[name] = fs.readFileSync(path.join(shortcodesDir, file), 'utf-8');
+  }
+  return shortcodes;
+}
+
+/**
+ * Get the ranges of code blocks and inline code, where shortcodes are not expanded
+ */
+function getCodeRanges(markdown) {
+  const ranges = [];
+  const fenceRegex = /^( {0,3})(`{3,}|~{3,})[^\n]*\n[\s\S]*?(?:^\1?\2[`~]*[ \t]*$|(?![\s\S]))/gm;
+  let match;
+  while ((match = fenceRegex.exec(markdown))) {
+    ranges.push([match.index, match.index + match[0].length]);
+  }
+
+  const inCode = index => ranges.some(([start, end]) => index >= start && index < end);
+  const inlineRegex = /(`+)[^`\n][\s\S]*?\1/g;
+  while ((match = inlineRegex.exec(markdown))) {
+    if (!inCode(match.index)) ranges.push([match.index, match.index + match[0].length]);
+  }
+  return ranges;
+}
+
+/**
+ * Parse the arguments of a shortcode into positional `args` and named values
+ */
+function parseArgs(source) {
+  const data = { args: [] };
+  let match;
+  ARG_REGEX.lastIndex = 0;
+  while ((match = ARG_REGEX.exec(source))) {
+    if (match[1]) {
+      data[match[1]] = [match[2], match[3], match[4]].find(value => value !== undefined);
+    } else {
+      data.args.push([match[5], match[6], match[7]].find(value => value !== undefined));
+    }
+  }
+  return data;
+}
+
+/**
+ * Find the shortcode tags of a markdown document, outside of code
+ */
+function tokenize(markdown) {
+  const codeRanges = getCodeRanges(markdown);
+  const tags = [];
+  let match;
+
+  TAG_REGEX.lastIndex = 0;
+  while ((match = TAG_REGEX.exec(markdown))) {
+    const start = match.index;
+    if (codeRanges.some(([from, to]) => start >= from && start < to)) continue;
+
+    const tag = { start, end: start + match[0].length };
+    const body = match[1];
+    if (body.startsWith('/*')) {
+      tag.literal = `{{< ${body.slice(2, -2).trim()} >}}`;
+    } else {
+      const [, closing, name, rest] = body.match(/^(\/)?\s*([\w-]+)([\s\S]*)$/);
+      tag.closing = Boolean(closing);
+      tag.name = name;
+      tag.selfClosing = /\/$/.test(rest.trim());
+      tag.args = rest.trim().replace(/\/$/, '');
+    }
+    tags.push(tag);
+  }
+  return tags;
+}
+
+/**
+ * Render markdown with its shortcodes expanded.
+ * `options`: { shortcodes, render(markdown), renderInline(markdown),
+ * file and line (where the markdown starts, for errors), page (frontmatter) }.
+ * Returns the HTML and the names of the shortcodes used.
+ */
+function renderShortcodes(markdown, options) {
+  const { shortcodes, render, renderInline, file, line = 1, page = {} } = options;
+  const tags = tokenize(markdown);
+  const outputs = [];
+  const used = new Set();
+
+  const fail = (message, tag) => {
+    const tagLine = line + markdown.slice(0, tag.start).split('\n').length - 1;
+    return new Error(`Shortcode error: ${message} (${file}:${tagLine})`);
+  };
+
+  // Index of the tag closing tags[index], or -1 for a self-closing shortcode
+  const findClose = (index, endIndex) => {
+    let depth = 0;
+    for (let i = index; i < endIndex; i++) {
+      if (tags[i].name !== tags[index].name || tags[i].literal) continue;
+      depth += tags[i].closing ? -1 : (tags[i].selfClosing ? 0 : 1);
+      if (depth === 0) return i;
+    }
+    return -1;
+  };
+
+  // Replace the shortcodes between two positions with placeholders
+  const expand = (start, end, fromIndex, toIndex) => {
+    let result = '';
+    let position = start;
+
+    for (let i = fromIndex; i < toIndex; i++) {
+      const tag = tags[i];
+      result += markdown.slice(position, tag.start);
+      position = tag.end;
+
+      if (tag.literal) {
+        result += tag.literal;
+        continue;
+      }
+      if (tag.closing) {
+        throw fail(`unexpected {{< /${tag.name} >}}`, tag);
+      }
+      if (!Object.prototype.hasOwnProperty.call(shortcodes, tag.name)) {
+        throw fail(`unknown shortcode "${tag.name}"`, tag);
+      }
+
+      const data = { ...parseArgs(tag.args), page, content: '', inner: '' };
+      const closeIndex = tag.selfClosing ? -1 : findClose(i, toIndex);
+      if (closeIndex !== -1) {
+        const inner = markdown.slice(tag.end, tags[closeIndex].start);
+        const expanded = expand(tag.end, tags[closeIndex].start, i + 1, closeIndex).trim();
+        data.inner = inner.trim();
+        // Multi-line content is rendered as blocks, a single line inline
+        data.content = expanded.includes('\n') ? render(expanded) : renderInline(expanded);
+        position = tags[closeIndex].end;
+        i = closeIndex;
+      }
+
+      try {
+        outputs.push(renderTemplate(shortcodes[tag.name], data, { name: `shortcodes/${tag.name}` }));
+      } catch (error) {
+        throw fail(error.message, tag);
+      }
+      used.add(tag.name);
+      result += PLACEHOLDER(outputs.length - 1);
+    }
+
+    return result + markdown.slice(position, end);
+  };
+
+  const restore = html => html.replace(PLACEHOLDER_REGEX, (match, open, index, close) => {
+    const output = restore(outputs[Number(index)]);
+    // A shortcode alone in its paragraph replaces the paragraph
+    if (open && close) return output;
+    return (open || '') + output + (close || '');
+  });
+
+  const html = restore(render(expand(0, markdown.length, 0, tags.length)));
+  return { html, used: [...used] };
+}
+
+module.exports = { loadShortcodes, renderShortcodes, builtinShortcodes };
@@ -0,0 +1,554 @@
+const { formatDate, slugify, escapeHtml } = require('./utils.js');
+
+/**
+ * Template syntax:
+ *   {{value}}                    - insert value (raw, not escaped)
+ *   {{post.title | escape}}      - insert value passed through filters
+ *   {{#if image}}...{{else}}...{{/if}}
+ *   {{#unless draft}}...{{/unless}}
+ *   {{#each posts}}...{{else}}...{{/each}}  - with {{this}}, {{@index}}, {{@first}}, {{@last}}
+ *   {{../title}}                 - look up a value in the parent scope
+ *   {{> header}}                 - include templates/partials/header.html
+ *   {{extends "base"}}           - render inside templates/layouts/base.html
+ *   {{#block "content"}}...{{/block}} - named block, overridable by child templates
+ *   {{! comment }}
+ */
+const TAG_REGEX = /\{\{([\s\S]*?)\}\}/g;
+
+/**
+ * Compiled template cache (source -> AST)
+ */
+const compiled = new Map();
+
+/**
+ * Maximum nesting of partials and layouts (guards against include cycles)
+ */
+const MAX_DEPTH = 20;
+
+/**
+ * Built-in filters. Each filter receives the value followed by its arguments,
+ * with `this` bound to the render environment ({ locale, name }).
+ */
+const filters = {
+  escape(value) {
+    return escapeHtml(value == null ? '' : String(value));
+  },
+
+  format(value, pattern = 'yyyy-MM-dd') {
+    if (value && isNaN(new Date(value).getTime())) {
+      const where = this.name ? ` (in template "${this.name}")` : '';
+      console.warn(`Warning: format filter can't read "${value}" as a date${where}`);
+    }
+    return formatDatePattern(value, pattern, this.locale);
+  },
+
+  date(value, locale) {
+    if (!value) return '';
+    return formatDate(value, locale || this.locale);
+  },
+
+  upper(value) {
+    return value == null ? '' : String(value).toUpperCase();
+  },
+
+  lower(value) {
+    return value == null ? '' : String(value).toLowerCase();
+  },
+
+  truncate(value, length = 100, suffix = '…') {
+    const str = value == null ? '' : String(value);
+    return str.length > length ? str.slice(0, length).trimEnd() + suffix : str;
+  },
+
+  default(value, fallback = '') {
+    return isTruthy(value) ? value : fallback;
+  },
+
+  slugify(value) {
+    return value == null ? '' : slugify(String(value));
+  },
+
+  striptags(value) {
+    return value == null ? '' : String(value).replace(/<[^>]*>/g, '');
+  },
+
+  urlencode(value) {
+    return value == null ? '' : encodeURIComponent(String(value));
+  },
+
+  json(value) {
+    return JSON.stringify(value === undefined ? null : value);
+  },
+
+  join(value, separator = ', ') {
+    return Array.isArray(value) ? value.join(separator) : value;
+  },
+
+  length(value) {
+    if (Array.isArray(value) || typeof value === 'string') return value.length;
+    return value && typeof value === 'object' ? Object.keys(value).length : 0;
+  },
+
+  limit(value, count) {
+    return Array.isArray(value) ? value.slice(0, count) : value;
+  }
+};
+
+/**
+ * Format a date with a pattern such as "yyyy-MM-dd" or "d MMMM yyyy"
+ */
+function formatDatePattern(value, pattern, locale = 'en-US') {
+  if (!value) return '';
+  const date = value instanceof Date ? value : new Date(value);
+  if (isNaN(date.getTime())) return String(value);
+
+  const pad = n => String(n).padStart(2, '0');
+  const tokens = {
+    yyyy: () => String(date.getFullYear()),
+    yy: () => pad(date.getFullYear() % 100),
+    MMMM: () => date.toLocaleDateString(locale, { month: 'long' }),
+    MMM: () => date.toLocaleDateString(locale, { month: 'short' }),
+    MM: () => pad(date.getMonth() + 1),
+    M: () => String(date.getMonth() + 1),
+    dd: () => pad(date.getDate()),
+    d: () => String(date.getDate()),
+    HH: () => pad(date.getHours()),
+    H: () => String(date.getHours()),
+    mm: () => pad(date.getMinutes()),
+    ss: () => pad(date.getSeconds())
+  };
+
+  return pattern.replace(/yyyy|yy|MMMM|MMM|MM|M|dd|d|HH|H|mm|ss/g, token => tokens[token]());
+}
+
+/**
+ * Handlebars-style truthiness: empty arrays and empty strings are false
+ */
+function isTruthy(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  return Boolean(value);
+}
+
+/**
+ * Split a tag body on a separator, ignoring separators inside quotes
+ */
+function splitOutsideQuotes(str, separator) {
+  const parts = [];
+  let current = '';
+  let quote = null;
+
+  for (const ch of str) {
+    if (quote) {
+      if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === '\'') {
+      quote = ch;
+    } else if (ch === separator) {
+      parts.push(current);
+      current = '';
+      continue;
+    }
+    current += ch;
+  }
+  parts.push(current);
+
+  return parts;
+}
+
+/**
+ * Parse a single operand: string, number, boolean, null or a path
+ */
+function parseOperand(token) {
+  if (/^"[\s\S]*"$|^'[\s\S]*'$/.test(token)) {
+    return { type: 'literal', value: token.slice(1, -1) };
+  }
+  if (/^-?\d+(\.\d+)?$/.test(token)) {
+    return { type: 'literal', value: Number(token) };
+  }
+  if (token === 'true' || token === 'false') {
+    return { type: 'literal', value: token === 'true' };
+  }
+  if (token === 'null') {
+    return { type: 'literal', value: null };
+  }
+
+  let depth = 0;
+  let rest = token;
+  while (rest.startsWith('../')) {
+    depth++;
+    rest = rest.slice(3);
+  }
+  const parts = rest === 'this' || rest === '.' ? [] : rest.replace(/^this\./, '').split('.');
+
+  return { type: 'path', depth, parts };
+}
+
+/**
+ * Parse an expression with optional filters: `value | filter "arg" 3`
+ */
+function parseExpression(source) {
+  const [head, ...filterParts] = splitOutsideQuotes(source, '|').map(s => s.trim());
+
+  if (!head) {
+    throw new Error(`Template error: empty expression in {{${source}}}`);
+  }
+
+  return {
+    value: parseOperand(head),
+    filters: filterParts.map(part => {
+      const [name, ...args] = (part.match(/"[^"]*"|'[^']*'|\S+/g) || []);
+      if (!name) {
+        throw new Error(`Template error: empty filter in {{${source}}}`);
+      }
+      return { name, args: args.map(parseOperand) };
+    })
+  };
+}
+
+/**
+ * Parse a partial, layout or block name (quoted or bare)
+ */
+function parseName(source, tag) {
+  const name = source.trim().replace(/^(["'])(.*)\1$/, '$2');
+  if (!name) {
+    throw new Error(`Template error: missing name in {{${tag}}}`);
+  }
+  return name;
+}
+
+/**
+ * Parse template source into an AST
+ */
+function parse(source) {
+  const root = { type: 'root', body: [] };
+  const stack = [];
+  let current = root.body;
+  let lastIndex = 0;
+  let match;
+
+  TAG_REGEX.lastIndex = 0;
+  while ((match = TAG_REGEX.exec(source)) !== null) {
+    if (match.index > lastIndex) {
+      current.push({ type: 'text', value: source.slice(lastIndex, match.index) });
+    }
+    lastIndex = TAG_REGEX.lastIndex;
+
+    const tag = match[1].trim();
+
+    if (tag.startsWith('!')) {
+      continue;
+    }
+
+    if (tag.startsWith('>')) {
+      current.push({ type: 'partial', name: parseName(tag.slice(1), tag) });
+      continue;
+    }
+
+    if (/^extends\s/.test(tag)) {
+      if (stack.length > 0) {
+        throw new Error(`Template error: {{${tag}}} must be at the top level`);
+      }
+      root.extends = parseName(tag.slice('extends'.length), tag);
+      continue;
+    }
+
+    if (tag.startsWith('#')) {
+      const [, name, args = ''] = tag.match(/^#(\w+)\s*([\s\S]*)$/) || [];
+      if (!['if', 'unless', 'each', 'block'].includes(name)) {
+        throw new Error(`Template error: unknown block {{${tag}}}`);
+      }
+      const node = name === 'block'
+        ? { type: name, name: parseName(args, tag), body: [], elseBody: [] }
+        : { type: name, expr: parseExpression(args), body: [], elseBody: [] };
+      current.push(node);
+      stack.push({ node, parentBody: current });
+      current = node.body;
+      continue;
+    }
+
+    if (tag === 'else') {
+      if (stack.length === 0) {
+        throw new Error('Template error: {{else}} outside of a block');
+      }
+      current = stack[stack.length - 1].node.elseBody;
+      continue;
+    }
+
+    if (tag.startsWith('/')) {
+      const name = tag.slice(1).trim();
+      const entry = stack.pop();
+      if (!entry || entry.node.type !== name) {
+        throw new Error(`Template error: unexpected {{/${name}}}` +
+          (entry ? `, expected {{/${entry.node.type}}}` : ''));
+      }
+      current = entry.parentBody;
+      continue;
+    }
+
+    current.push({ type: 'var', expr: parseExpression(tag) });
+  }
+
+  if (lastIndex < source.length) {
+    current.push({ type: 'text', value: source.slice(lastIndex) });
+  }
+
+  if (stack.length > 0) {
+    throw new Error(`Template error: unclosed {{#${stack[stack.length - 1].node.type}}}`);
+  }
+
+  return root;
+}
+
+/**
+ * Get compiled AST for template source
+ */
+function compile(source) {
+  let ast = compiled.get(source);
+  if (!ast) {
+    ast = parse(source);
+    compiled.set(source, ast);
+  }
+  return ast;
+}
+
+/**
+ * Check for an own property, so `{{constructor}}` or `{{toString}}` don't
+ * find what objects inherit
+ */
+function hasOwn(value, key) {
+  return value != null && Object.prototype.hasOwnProperty.call(value, key);
+}
+
+/**
+ * Resolve a path operand against the scope chain.
+ * Unqualified names fall back to outer scopes, so `{{siteTitle}}`
+ * still works inside `{{#each}}`.
+ */
+function resolvePath(operand, scopes) {
+  let index = scopes.length - 1 - operand.depth;
+  if (index < 0) return undefined;
+
+  const [first, ...rest] = operand.parts;
+  let value;
+
+  if (first === undefined) {
+    return scopes[index].value;
+  }
+
+  if (first.startsWith('@')) {
+    value = hasOwn(scopes[index].meta, first.slice(1)) ? scopes[index].meta[first.slice(1)] : undefined;
+  } else {
+    for (; index >= 0; index--) {
+      const scopeValue = scopes[index].value;
+      if (scopeValue != null && typeof scopeValue === 'object' && hasOwn(scopeValue, first)) {
+        value = scopeValue[first];
+        break;
+      }
+    }
+  }
+
+  for (const part of rest) {
+    if (!hasOwn(value, part)) return undefined;
+    value = value[part];
+  }
+
+  return value;
+}
+
+/**
+ * Evaluate an expression (operand + filters)
+ */
+function evaluate(expr, scopes, env) {
+  const resolve = operand => operand.type === 'literal' ? operand.value : resolvePath(operand, scopes);
+  let value = resolve(expr.value);
+
+  for (const filter of expr.filters) {
+    const fn = hasOwn(filters, filter.name) ? filters[filter.name] : null;
+    if (!fn) {
+      throw new Error(`Template error: unknown filter "${filter.name}"`);
+    }
+    value = fn.call(env, value, ...filter.args.map(resolve));
+  }
+
+  return value;
+}
+
+/**
+ * Convert a value to output text
+ */
+function stringify(value) {
+  if (value == null || value === false) return '';
+  if (Array.isArray(value)) return value.map(stringify).join('');
+  if (typeof value === 'object' && !(value instanceof Date)) return '';
+  return String(value);
+}
+
+/**
+ * Render AST nodes
+ */
+function renderNodes(nodes, scopes, env) {
+  let out = '';
+
+  for (const node of nodes) {
+    switch (node.type) {
+      case 'text':
+        out += node.value;
+        break;
+
+      case 'var':
+        out += stringify(evaluate(node.expr, scopes, env));
+        break;
+
+      case 'if':
+      case 'unless': {
+        let truthy = isTruthy(evaluate(node.expr, scopes, env));
+        if (node.type === 'unless') truthy = !truthy;
+        out += renderNodes(truthy ? node.body : node.elseBody, scopes, env);
+        break;
+      }
+
+      case 'each': {
+        const list = evaluate(node.expr, scopes, env);
+        const entries = Array.isArray(list)
+          ? list.map((item, i) => [i, item])
+          : (list && typeof list === 'object' ? Object.entries(list) : []);
+
+        if (entries.length === 0) {
+          out += renderNodes(node.elseBody, scopes, env);
+          break;
+        }
+
+        entries.forEach(([key, item], i) => {
+          const meta = { index: i, key, first: i === 0, last: i === entries.length - 1 };
+          out += renderNodes(node.body, [...scopes, { value: item, meta }], env);
+        });
+        break;
+      }
+
+      case 'block': {
+        const body = env.blocks[node.name] || node.body;
+        out += renderNodes(body, scopes, env);
+        break;
+      }
+
+      case 'partial': {
+        const source = lookupTemplate(env, `partials/${node.name}`);
+        out += withDepth(env, () => renderNodes(compile(source).body, scopes, env));
+        break;
+      }
+    }
+  }
+
+  return out;
+}
+
+/**
+ * Find a partial or layout in the templates registry
+ */
+function lookupTemplate(env, name) {
+  const source = hasOwn(env.templates, name) ? env.templates[name] : undefined;
+  if (source === undefined) {
+    throw new Error(`Template error: "${name}" not found`);
+  }
+  return source;
+}
+
+/**
+ * Run a nested render, guarding against include cycles
+ */
+function withDepth(env, fn) {
+  if (++env.depth > MAX_DEPTH) {
+    throw new Error('Template error: partials or layouts nested too deeply (circular include?)');
+  }
+  try {
+    return fn();
+  } finally {
+    env.depth--;
+  }
+}
+
+/**
+ * Collect block overrides; blocks defined by the innermost template win
+ */
+function collectBlocks(nodes, blocks) {
+  for (const node of nodes) {
+    if (node.type === 'block' && !blocks[node.name]) {
+      blocks[node.name] = node.body;
+    }
+    if (node.body) collectBlocks(node.body, blocks);
+    if (node.elseBody) collectBlocks(node.elseBody, blocks);
+  }
+}
+
+/**
+ * Render a compiled template, following its layout chain
+ */
+function renderAst(ast, scopes, env) {
+  if (!ast.extends) {
+    return renderNodes(ast.body, scopes, env);
+  }
+
+  collectBlocks(ast.body, env.blocks);
+  const layout = compile(lookupTemplate(env, `layouts/${ast.extends}`));
+  return withDepth(env, () => renderAst(layout, scopes, env));
+}
+
+/**
+ * Get every template a template renders with: itself, its layouts and
+ * partials, recursively. Missing partials are included so that adding
+ * them later is noticed.
+ */
+function getTemplateDependencies(name, templates, seen = new Set()) {
+  if (seen.has(name)) return [...seen];
+  seen.add(name);
+
+  if (templates[name] === undefined) return [...seen];
+
+  const ast = compile(templates[name]);
+  if (ast.extends) {
+    getTemplateDependencies(`layouts/${ast.extends}`, templates, seen);
+  }
+
+  const walk = nodes => {
+    for (const node of nodes) {
+      if (node.type === 'partial') {
+        getTemplateDependencies(`partials/${node.name}`, templates, seen);
+      }
+      if (node.body) walk(node.body);
+      if (node.elseBody) walk(node.elseBody);
+    }
+  };
+  walk(ast.body);
+
+  return [...seen];
+}
+
+/**
+ * Render a template with data.
+ * `options.templates` is the registry used to resolve partials and layouts.
+ */
+function renderTemplate(template, data, options = {}) {
+  const env = {
+    locale: options.locale || 'en-US',
+    name: options.name || '',
+    templates: options.templates || {},
+    blocks: {},
+    depth: 0
+  };
+
+  try {
+    const ast = compile(template);
+    return renderAst(ast, [{ value: data }], env);
+  } catch (error) {
+    if (options.name) {
+      error.message = `${error.message} (in template "${options.name}")`;
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  renderTemplate,
+  getTemplateDependencies,
+  formatDatePattern,
+  compile
+};
@@ -69,17 +69,46 @@ function addHeadingIds(html) {
   });
 }
 
+/**
+ * Get publishing status of a post at build time:
+ * 'draft', 'scheduled' (publishDate in the future), 'expired' (expiryDate passed) or 'published'.
+ * `future: true` publishes scheduled posts (for previews).
+ */
+function getPostStatus(post, { now = new Date(), future = false } = {}) {
+  if (post.draft) return 'draft';
+  if (!future && post.publishDate && new Date(post.publishDate) > now) return 'scheduled';
+  if (post.expiryDate && new Date(post.expiryDate) <= now) return 'expired';
+  return 'published';
+}
+
+/**
+ * Check whether a page lives in the folder of a taxonomy (pages/tags/,
+ * or the `path` of a taxonomy in config.taxonomies), like its index page
+ */
+function isTaxonomyPage(post, siteConfig = {}) {
+  const taxonomies = { tags: {}, ...siteConfig.taxonomies };
+  return Object.entries(taxonomies).some(([name, options]) =>
+    options !== false && post.translationKey.startsWith(`${(options && options.path) || name}/`));
+}
+
+/**
+ * Check whether a page is a post, shown in lists, feeds and related posts
+ * (not the home or about page, nor a taxonomy page)
+ */
+function isListablePost(post, siteConfig = {}) {
+  return post.translationKey !== 'index' && post.translationKey !== 'about' && !isTaxonomyPage(post, siteConfig);
+}
+
 /**
  * Find related posts based on shared tags
  */
-function findRelatedPosts(currentPost, allPosts, limit = 3) {
+function findRelatedPosts(currentPost, allPosts, siteConfig, limit = 3) {
   if (!currentPost.tags || currentPost.tags.length === 0) {
     return [];
   }
 
   const scored = allPosts
-    .filter(p => p.slug !== currentPost.slug && !p.draft && 
-                 p.slug !== 'index' && p.slug !== 'about' && !p.slug.startsWith('tags/'))
+    .filter(p => p.slug !== currentPost.slug && isListablePost(p, siteConfig))
     .map(post => {
       const sharedTags = (post.tags || []).filter(tag => 
         currentPost.tags.includes(tag)
@@ -95,34 +124,119 @@ function findRelatedPosts(currentPost, allPosts, limit = 3) {
 }
 
 /**
- * Generate RSS feed XML
+ * Get the parts of a series in reading order (seriesOrder, then date)
  */
-function generateRSS(posts, siteConfig) {
-  const { title, description, siteUrl } = siteConfig;
-  const sortedPosts = posts
-    .filter(p => !p.draft && p.slug !== 'index' && !p.slug.startsWith('tags/') && p.slug !== 'about')
+function getSeriesParts(seriesName, allPosts) {
+  const order = post => (post.seriesOrder == null ? Infinity : post.seriesOrder);
+  return allPosts
+    .filter(p => p.series === seriesName)
+    .sort((a, b) => (order(a) - order(b)) || (new Date(a.date) - new Date(b.date)));
+}
+
+/**
+ * Get the newest posts of a feed (pages like index and about are left out)
+ */
+function getFeedPosts(posts, siteConfig, limit = 20) {
+  return posts
+    .filter(p => !p.draft && isListablePost(p, siteConfig))
     .sort((a, b) => new Date(b.date) - new Date(a.date))
-    .slice(0, 20);
+    .slice(0, limit);
+}
+
+/**
+ * Get feed metadata. `options` overrides the site-wide values for
+ * tag feeds: { title, description, link, feedUrl, limit }.
+ * `getContent(post)`, when given, returns the full HTML of an item.
+ * Feeds of a language other than the default live under its URL prefix.
+ */
+function getFeedInfo(siteConfig, options, feedFile) {
+  const { siteUrl, langPrefix = '' } = siteConfig;
+  return {
+    title: siteConfig.title,
+    description: siteConfig.description,
+    link: langPrefix ? `${siteUrl}${langPrefix}/` : siteUrl,
+    feedUrl: `${siteUrl}${langPrefix}/${feedFile}`,
+    limit: 20,
+    getContent: null,
+    ...options
+  };
+}
+
+/**
+ * Resolve a URL found in post HTML against the page it appears on
+ */
+function resolveFeedUrl(value, pageUrl) {
+  if (/^[a-z][a-z0-9+.-]*:/i.test(value)) return value;
+  try {
+    return new URL(value, pageUrl).href;
+  } catch {
+    return value;
+  }
+}
+
+/**
+ * Make post HTML safe for feed readers: scripts, styles, forms and
+ * interactive embeds are removed (iframes become plain links), event
+ * handlers and javascript: URLs dropped, and relative URLs resolved
+ * against `pageUrl`
+ */
+function toFeedHtml(html, pageUrl) {
+  const rewriteTag = tag => tag
+    .replace(/\s+on[a-z]+\s*=\s*("[^"]*"|'[^']*'|[^\s>]+)/gi, '')
+    .replace(/\s(href|src|poster)\s*=\s*(["'])(.*?)\2/gi, (match, attr, quote, value) =>
+      /^\s*javascript:/i.test(value) ? '' : ` ${attr}=${quote}${resolveFeedUrl(value, pageUrl)}${quote}`)
+    .replace(/\ssrcset\s*=\s*(["'])(.*?)\1/gi, (match, quote, value) => {
+      const candidates = value.split(',').map(candidate => {
+        const [url, ...descriptors] = candidate.trim().split(/\s+/);
+        return [resolveFeedUrl(url, pageUrl), ...descriptors].join(' ');
+      });
+      return ` srcset=${quote}${candidates.join(', ')}${quote}`;
+    });
+
+  return html
+    .replace(/<(script|style|noscript|form|object|button)\b[\s\S]*?<\/\1>/gi, '')
+    .replace(/<iframe\b[^>]*?\ssrc=["']([^"']+)["'][^>]*>[\s\S]*?<\/iframe>/gi, '<p><a href="$1">$1</a></p>')
+    .replace(/<\/?(script|iframe|embed|object|form|input|button|textarea|select)\b[^>]*>/gi, '')
+    .replace(/<[a-z][^>]*>/gi, rewriteTag);
+}
+
+/**
+ * Wrap text in a CDATA section
+ */
+function toCdata(text) {
+  return `<![CDATA[${text.replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+}
+
+/**
+ * Generate RSS feed XML
+ */
+function generateRSS(posts, siteConfig, options = {}) {
+  const { siteUrl } = siteConfig;
+  const { title, description, link, feedUrl, limit, getContent } = getFeedInfo(siteConfig, options, 'rss.xml');
+  const sortedPosts = getFeedPosts(posts, siteConfig, limit);
 
   let rss = `<?xml version="1.0" encoding="UTF-8"?>
-<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:content="http://purl.org/rss/1.0/modules/content/">
 <channel>
   <title>${escapeXml(title)}</title>
   <description>${escapeXml(description)}</description>
-  <link>${siteUrl}</link>
-  <atom:link href="${siteUrl}/rss.xml" rel="self" type="application/rss+xml"/>
-  <lastBuildDate>${new Date().toUTCString()}</lastBuildDate>
+  <link>${link}</link>
+  <atom:link href="${feedUrl}" rel="self" type="application/rss+xml"/>
+${siteConfig.lang ? `  <language>${escapeXml(siteConfig.language)}</language>
+` : ''}  <lastBuildDate>${new Date().toUTCString()}</lastBuildDate>
 `;
 
   sortedPosts.forEach(post => {
-    const postUrl = `${siteUrl}/${post.slug}.html`;
+    const postUrl = `${siteUrl}${post.url}`;
     rss += `  <item>
     <title>${escapeXml(post.title)}</title>
     <link>${postUrl}</link>
     <guid>${postUrl}</guid>
     <pubDate>${new Date(post.date).toUTCString()}</pubDate>
-    <description>${escapeXml(post.description || '')}</description>
-  </item>
+${getPostAuthors(post, siteConfig).map(author => `    <dc:creator>${escapeXml(author.name)}</dc:creator>
+`).join('')}    <description>${escapeXml(post.description || '')}</description>
+${getContent ? `    <content:encoded>${toCdata(getContent(post))}</content:encoded>
+` : ''}  </item>
 `;
   });
 
@@ -133,23 +247,122 @@ function generateRSS(posts, siteConfig) {
 }
 
 /**
- * Generate sitemap XML
+ * Generate Atom 1.0 feed XML
  */
-function generateSitemap(posts, siteConfig) {
+function generateAtom(posts, siteConfig, options = {}) {
+  const { siteUrl } = siteConfig;
+  const { title, description, link, feedUrl, limit, getContent } = getFeedInfo(siteConfig, options, 'atom.xml');
+  const sortedPosts = getFeedPosts(posts, siteConfig, limit);
+
+  // Last change of the feed is its newest post, so unchanged feeds stay byte-identical
+  const updated = sortedPosts.length > 0 ? new Date(sortedPosts[0].date) : new Date();
+
+  let atom = `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${escapeXml(title)}</title>
+  <subtitle>${escapeXml(description)}</subtitle>
+  <link href="${link}"/>
+  <link href="${feedUrl}" rel="self" type="application/atom+xml"/>
+  <id>${feedUrl}</id>
+  <updated>${updated.toISOString()}</updated>
+${getAuthors(siteConfig.author, siteConfig).map(author => `  <author><name>${escapeXml(author.name)}</name></author>
+`).join('')}`;
+
+  sortedPosts.forEach(post => {
+    const postUrl = `${siteUrl}${post.url}`;
+    const date = new Date(post.date).toISOString();
+    atom += `  <entry>
+    <title>${escapeXml(post.title)}</title>
+    <link href="${postUrl}"/>
+    <id>${postUrl}</id>
+    <published>${date}</published>
+    <updated>${date}</updated>
+${getPostAuthors(post, siteConfig).map(author => `    <author><name>${escapeXml(author.name)}</name><uri>${siteUrl}${author.url}</uri></author>
+`).join('')}${post.tags.map(tag => `    <category term="${escapeXml(tag)}"/>
+`).join('')}    <summary>${escapeXml(post.description || '')}</summary>
+${getContent ? `    <content type="html">${escapeXml(getContent(post))}</content>
+` : ''}  </entry>
+`;
+  });
+
+  atom += `</feed>`;
+
+  return atom;
+}
+
+/**
+ * Generate JSON Feed 1.1
+ */
+function generateJsonFeed(posts, siteConfig, options = {}) {
   const { siteUrl } = siteConfig;
+  const { title, description, link, feedUrl, limit, getContent } = getFeedInfo(siteConfig, options, 'feed.json');
+
+  const feed = {
+    version: 'https://jsonfeed.org/version/1.1',
+    title,
+    home_page_url: link,
+    feed_url: feedUrl,
+    description,
+    language: siteConfig.language,
+    authors: getAuthors(siteConfig.author, siteConfig).map(author => ({ name: author.name })),
+    items: getFeedPosts(posts, siteConfig, limit).map(post => {
+      const postUrl = `${siteUrl}${post.url}`;
+      const item = {
+        id: postUrl,
+        url: postUrl,
+        title: post.title,
+        date_published: new Date(post.date).toISOString(),
+        authors: getPostAuthors(post, siteConfig).map(author => ({ name: author.name, url: `${siteUrl}${author.url}` })),
+        tags: post.tags
+      };
+      if (getContent) {
+        item.content_html = getContent(post);
+      } else {
+        item.content_text = post.description || '';
+      }
+      if (post.description) item.summary = post.description;
+      if (post.image) item.image = `${siteUrl}/${post.image}`;
+      return item;
+    })
+  };
+
+  return JSON.stringify(feed, null, 2);
+}
+
+/**
+ * Get the hreflang alternates of a translated post: every translation,
+ * plus x-default pointing at the default language's version
+ */
+function getAlternates(post) {
+  const alternates = (post.translations || []).map(t => ({ hreflang: t.hreflang, url: t.url }));
+  const fallback = (post.translations || []).find(t => t.isDefault);
+  if (fallback) alternates.push({ hreflang: 'x-default', url: fallback.url });
+  return alternates;
+}
+
+/**
+ * Generate sitemap XML.
+ * Translated posts list their translations as hreflang alternates.
+ */
+function generateSitemap(posts, siteConfig) {
+  const { siteUrl, langPrefix = '' } = siteConfig;
+  const sitemapPosts = posts.filter(p => !p.draft && p.translationKey !== 'index' && !isTaxonomyPage(p, siteConfig));
+  const hasTranslations = sitemapPosts.some(p => getAlternates(p).length > 0);
+
   let sitemap = `<?xml version="1.0" encoding="UTF-8"?>
-<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9"${hasTranslations ? ' xmlns:xhtml="http://www.w3.org/1999/xhtml"' : ''}>
   <url>
-    <loc>${siteUrl}</loc>
+    <loc>${langPrefix ? `${siteUrl}${langPrefix}/` : siteUrl}</loc>
     <changefreq>daily</changefreq>
     <priority>1.0</priority>
   </url>
 `;
 
-  posts.filter(p => !p.draft && p.slug !== 'index' && !p.slug.startsWith('tags/')).forEach(post => {
+  sitemapPosts.forEach(post => {
     sitemap += `  <url>
-    <loc>${siteUrl}/${post.slug}.html</loc>
-    <lastmod>${new Date(post.date).toISOString().split('T')[0]}</lastmod>
+    <loc>${siteUrl}${post.url}</loc>
+${getAlternates(post).map(a => `    <xhtml:link rel="alternate" hreflang="${a.hreflang}" href="${siteUrl}${a.url}"/>
+`).join('')}    <lastmod>${new Date(post.date).toISOString().split('T')[0]}</lastmod>
     <changefreq>monthly</changefreq>
     <priority>0.8</priority>
   </url>
@@ -160,6 +373,43 @@ function generateSitemap(posts, siteConfig) {
   return sitemap;
 }
 
+/**
+ * Generate the HTML stub left at an old URL: a meta refresh to the new
+ * URL, with a canonical link so search engines index the new one
+ */
+function generateRedirectPage(to, siteConfig) {
+  const target = escapeHtml(to);
+  const canonical = escapeHtml(new URL(to, `${siteConfig.siteUrl}/`).href);
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <title>Redirecting…</title>
+  <link rel="canonical" href="${canonical}">
+  <meta name="robots" content="noindex">
+  <meta http-equiv="refresh" content="0; url=${target}">
+</head>
+<body>
+  <p>This page has moved to <a href="${target}">${target}</a>.</p>
+</body>
+</html>`;
+}
+
+/**
+ * Generate a _redirects file (Netlify, Cloudflare Pages) with a 301 per redirect
+ */
+function generateRedirectsFile(redirects) {
+  return redirects.map(({ from, to }) => `${from} ${to} 301\n`).join('');
+}
+
+/**
+ * Generate an nginx map of old URLs to new ones, to be included in a
+ * `map $uri $redirect_uri { ... }` block
+ */
+function generateNginxRedirectMap(redirects) {
+  return redirects.map(({ from, to }) => `${from} ${to};\n`).join('');
+}
+
 /**
  * Escape XML special characters
  */
@@ -173,6 +423,19 @@ function escapeXml(str) {
     .replace(/'/g, '&apos;');
 }
 
+/**
+ * Escape HTML special characters
+ */
+function escapeHtml(str) {
+  if (!str) return '';
+  return str
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#039;');
+}
+
 /**
  * Generate file hash for incremental build
  */
@@ -182,6 +445,13 @@ function getFileHash(filePath) {
   return crypto.createHash('md5').update(content).digest('hex');
 }
 
+/**
+ * Generate hash of a string
+ */
+function getContentHash(content) {
+  return crypto.createHash('md5').update(content).digest('hex');
+}
+
 /**
  * Load or create build cache
  */
@@ -204,24 +474,40 @@ function saveBuildCache(cacheFile, cache) {
 }
 
 /**
- * Check if file needs rebuild
+ * Check if an output needs rebuild: it is missing, or anything it
+ * depends on (templates, config, source posts) changed since last build
  */
-function needsRebuild(filePath, cache) {
-  const currentHash = getFileHash(filePath);
-  const cachedHash = cache[filePath];
-  return currentHash !== cachedHash;
+function needsRebuild(outputPath, deps, cache) {
+  if (!fs.existsSync(outputPath)) return true;
+  const cachedDeps = cache.outputs && cache.outputs[outputPath];
+  return !cachedDeps || JSON.stringify(cachedDeps) !== JSON.stringify(deps);
 }
 
 /**
- * Format date for display
+ * Format date for display (`options` as for toLocaleDateString, e.g. month and year only)
  */
-function formatDate(dateStr, locale = 'en-US') {
+function formatDate(dateStr, locale = 'en-US', options = { year: 'numeric', month: 'long', day: 'numeric' }) {
   const date = new Date(dateStr);
-  return date.toLocaleDateString(locale, {
-    year: 'numeric',
-    month: 'long',
-    day: 'numeric'
-  });
+  return date.toLocaleDateString(locale, options);
+}
+
+/**
+ * A date formatted for display that is still a date: templates show the
+ * text ({{date}}) and date filters read the date ({{date | format "yyyy"}})
+ */
+class LocalizedDate extends Date {
+  constructor(dateStr, locale, options) {
+    super(dateStr);
+    this.text = formatDate(dateStr, locale, options);
+  }
+
+  toString() {
+    return this.text;
+  }
+
+  toJSON() {
+    return this.text;
+  }
 }
 
 /**
@@ -238,6 +524,63 @@ function slugify(str) {
     .trim();
 }
 
+/**
+ * Get URL of a taxonomy term page (a tag by default)
+ */
+function getTermUrl(term, basePath = 'tags') {
+  return `/${basePath}/${slugify(term)}.html`;
+}
+
+/**
+ * Get URL of an author page
+ */
+function getAuthorUrl(authorId, prefix = '') {
+  return `${prefix}/authors/${slugify(authorId)}.html`;
+}
+
+/**
+ * Get the authors of a post from its `author` frontmatter (one or a list),
+ * falling back to the site author
+ */
+function getPostAuthors(post, siteConfig) {
+  return getAuthors(post.frontmatter.author || siteConfig.author, siteConfig);
+}
+
+/**
+ * Resolve author ids or names ("a, b" or a list). Authors are looked up by
+ * id or name in siteConfig.authors (data/authors.json) for their bio,
+ * avatar and links.
+ */
+function getAuthors(values, siteConfig) {
+  if (typeof values === 'string') {
+    values = values.split(',').map(a => a.trim());
+  }
+
+  const authors = siteConfig.authors || {};
+  return [].concat(values).map(String).filter(Boolean).map(value => {
+    const id = Object.prototype.hasOwnProperty.call(authors, value)
+      ? value
+      : Object.keys(authors).find(key => authors[key].name === value) || value;
+    const entry = authors[id] || {};
+
+    return {
+      id,
+      name: entry.name || value,
+      bio: entry.bio || '',
+      avatar: entry.avatar || '',
+      links: entry.links || {},
+      url: getAuthorUrl(id, siteConfig.langPrefix)
+    };
+  });
+}
+
+/**
+ * Get URL of a series index page
+ */
+function getSeriesUrl(seriesName, prefix = '') {
+  return `${prefix}/series/${slugify(seriesName)}.html`;
+}
+
 /**
  * Ensure directory exists
  */
@@ -248,22 +591,55 @@ function ensureDir(dirPath) {
 }
 
 /**
- * Copy directory recursively
+ * Copy directory recursively, returns the copied file paths
  */
 function copyDir(src, dest) {
   ensureDir(dest);
   const entries = fs.readdirSync(src, { withFileTypes: true });
+  const copied = [];
 
   for (const entry of entries) {
     const srcPath = path.join(src, entry.name);
     const destPath = path.join(dest, entry.name);
 
     if (entry.isDirectory()) {
-      copyDir(srcPath, destPath);
+      copied.push(...copyDir(srcPath, destPath));
     } else {
       fs.copyFileSync(srcPath, destPath);
+      copied.push(destPath);
     }
   }
+
+  return copied;
+}
+
+/**
+ * Check that a path is inside rootDir (and not rootDir itself)
+ */
+function isInsideDir(filePath, rootDir) {
+  return path.resolve(filePath).startsWith(path.resolve(rootDir) + path.sep);
+}
+
+/**
+ * Remove a file inside rootDir, then any parent directories left empty.
+ * Paths outside rootDir are never touched.
+ */
+function removeFile(filePath, rootDir) {
+  const root = path.resolve(rootDir);
+  let current = path.resolve(filePath);
+
+  if (!isInsideDir(current, root)) return false;
+  if (!fs.existsSync(current)) return false;
+
+  fs.rmSync(current, { force: true });
+
+  current = path.dirname(current);
+  while (current.startsWith(root + path.sep) && fs.readdirSync(current).length === 0) {
+    fs.rmdirSync(current);
+    current = path.dirname(current);
+  }
+
+  return true;
 }
 
 /**
@@ -290,6 +666,7 @@ function paginate(items, perPage = 10) {
       items: items.slice(start, end),
       currentPage: i + 1,
       totalPages,
+      totalItems: items.length,
       hasNext: i < totalPages - 1,
       hasPrev: i > 0,
       nextPage: i < totalPages - 1 ? i + 2 : null,
@@ -301,21 +678,41 @@ function paginate(items, perPage = 10) {
 }
 
 module.exports = {
+  LocalizedDate,
   calculateReadingTime,
   generateTOC,
   addHeadingIds,
+  getPostStatus,
+  isTaxonomyPage,
+  isListablePost,
   findRelatedPosts,
+  getSeriesParts,
   generateRSS,
+  generateAtom,
+  generateJsonFeed,
+  toFeedHtml,
   generateSitemap,
+  getAlternates,
+  generateRedirectPage,
+  generateRedirectsFile,
+  generateNginxRedirectMap,
   escapeXml,
+  escapeHtml,
   getFileHash,
+  getContentHash,
   loadBuildCache,
   saveBuildCache,
   needsRebuild,
   formatDate,
   slugify,
+  getTermUrl,
+  getAuthorUrl,
+  getPostAuthors,
+  getSeriesUrl,
   ensureDir,
   copyDir,
+  isInsideDir,
+  removeFile,
   cleanDir,
   paginate
 };
@@ -0,0 +1,39 @@
+const { parentPort } = require('worker_threads');
+const { parseMarkdownFile, buildPost, getSiteIndex } = require('./builder.js');
+
+/**
+ * Worker thread for parallel builds.
+ * Tasks:
+ *   parse  { filePath, projectDir, shortcodes, examplesDir } -> parsed post
+ *   setup  { posts, templates, config }                      -> stores (and indexes) data shared by render tasks
+ *   render { index }                                         -> HTML of posts[index]
+ */
+let shared = null;
+
+const handlers = {
+  parse({ filePath, projectDir, shortcodes, examplesDir }) {
+    return parseMarkdownFile(filePath, projectDir, shortcodes, examplesDir);
+  },
+
+  setup(data) {
+    shared = { ...data, siteIndex: getSiteIndex(data.posts, data.config) };
+    return null;
+  },
+
+  render({ index }) {
+    if (!shared) {
+      throw new Error('Worker received render task before setup');
+    }
+    const { posts, templates, config, siteIndex } = shared;
+    return buildPost(posts[index], templates, posts, config, siteIndex);
+  }
+};
+
+parentPort.on('message', ({ id, type, payload }) => {
+  try {
+    const result = handlers[type](payload);
+    parentPort.postMessage({ id, result });
+  } catch (error) {
+    parentPort.postMessage({ id, error: { message: error.message, stack: error.stack } });
+  }
+});